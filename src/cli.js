@@ -0,0 +1,682 @@
+#!/usr/bin/env node
+
+import { Console } from "console";
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+
+import {
+  cherryPick,
+  continueCherryPick,
+  skipCherryPick,
+  abortCherryPick,
+  undoCherryPick,
+  syncBranch,
+  markSyncSkipped,
+  listCommits,
+  reportDivergence,
+  renderDivergenceReport,
+  getConflicts,
+  resolveConflicts,
+  getStatus,
+  getRunHistory,
+  EXIT_CODES,
+  CrcpError,
+  InputError,
+} from "./index.js";
+import { questions } from "./preset/questions.js";
+import { getRepositories, getLastRemote } from "./utils/repo/index.js";
+import { getMainWorktree } from "./utils/worktree/index.js";
+import { isMergeCommit } from "./utils/commit/index.js";
+import {
+  printConfirmationInfo,
+  printDryRunReport,
+  printRunHistory,
+  printCommitList,
+  printSyncPlan,
+  printDivergenceReport,
+  printConflictReport,
+  printFanOutReport,
+  printStatus,
+} from "./utils/common/index.js";
+import { configCheck, initConfigFile } from "./services/config.js";
+import { REPORT_FORMATS } from "./services/report.js";
+import { RESOLUTIONS } from "./services/conflicts.js";
+import {
+  argsCheck,
+  getCommand,
+  getRunOptions,
+  getUsage,
+  parseCliArgs,
+} from "./services/args.js";
+import {
+  loadSession,
+  summarizeRun,
+  interruptSession,
+} from "./services/session.js";
+
+// Handle Ctrl + C (SIGINT) gracefully
+process.on("SIGINT", () => {
+  console.log("\nOperation aborted by user.");
+  // Remove the temporary worktree of an interrupted run
+  interruptSession();
+  process.exit(1);
+});
+
+// Values a pick needs, asked in this order when neither the configuration nor the command line set them
+const PICK_VALUES = [
+  {
+    key: "source",
+    label: "source repository (--source)",
+    isSet: (state) => Boolean(state.usingRemoteUrl),
+    ask: async (state) => {
+      const { lastRemoteName, lastRemoteUrl } = getLastRemote();
+      // Confirm the source repository and whether to use the most recently added remote repository
+      const { remoteUrl, remoteName } = await getRepositories(
+        lastRemoteName,
+        lastRemoteUrl
+      );
+      state.usingRemoteName = remoteName;
+      state.usingRemoteUrl = remoteUrl;
+    },
+  },
+  {
+    key: "branch",
+    label: "source branch (--branch)",
+    isSet: (state) => Boolean(state.sourceBranch),
+    ask: async (state) => {
+      state.sourceBranch = await questions.question1();
+    },
+  },
+  {
+    key: "commits",
+    label: "commits (--commit)",
+    isSet: (state) => state.commits.length > 0,
+    ask: async (state) => {
+      state.commits = await questions.question2(
+        state.usingRemoteName,
+        state.sourceBranch,
+        {
+          hideApplied: state.hideApplied,
+          filters: state.commitFilters,
+          limits: state.historyLimits,
+        }
+      );
+      // The picker fetched the commits, merges can be recognised now
+      const merges = state.commits.filter(isMergeCommit);
+      if (merges.length && !state.mergeMode) {
+        Object.assign(state, await questions.mergeMode(merges));
+      }
+    },
+  },
+  {
+    key: "target",
+    label: "target branch (--target)",
+    isSet: (state) => Boolean(state.targetBranch),
+    ask: async (state) => {
+      state.targetBranch = await questions.questions3();
+    },
+  },
+];
+
+/**
+ * Collect the run state from the configuration and the command line
+ * @returns {Object}
+ */
+function loadRunState() {
+  const state = {
+    usingRemoteName: "",
+    usingRemoteUrl: "",
+    sourceBranch: "",
+    commits: [],
+    targetBranch: "",
+    pathMap: {},
+    unmappedPaths: "report",
+    substitutions: [],
+    pushPolicy: "ff-only",
+    reviewBranchTemplate: undefined,
+    hideApplied: false,
+    commitFilters: null,
+    historyLimits: {},
+    worktree: false,
+    messageTemplate: undefined,
+    trailers: {},
+    issueKeys: {},
+    editMessage: false,
+    includePaths: [],
+    excludePaths: [],
+    selectChanges: false,
+    strategies: [],
+    mergetool: undefined,
+    hooks: {},
+    mergeMode: undefined,
+    mainline: 1,
+  };
+  // check crcpconfig file
+  configCheck(state);
+  // check command line arguments
+  argsCheck(state);
+  return state;
+}
+
+/**
+ * Get the prompt editing the message of each picked commit, when asked for
+ * @param {Object} state
+ * @param {{interactive: boolean}} runOptions
+ * @returns {function(string, string): Promise<string>|undefined}
+ */
+function getMessageEditor(state, runOptions) {
+  return runOptions.interactive && state.editMessage
+    ? questions.editMessage
+    : undefined;
+}
+
+/**
+ * Get the prompt choosing the files and hunks of each picked commit, when asked for
+ * @param {Object} state
+ * @param {{interactive: boolean}} runOptions
+ * @returns {function(string, Array<Object>): Promise<Object<string, number[]>>|undefined}
+ */
+function getChangeSelector(state, runOptions) {
+  return runOptions.interactive && state.selectChanges
+    ? questions.selectChanges
+    : undefined;
+}
+
+/**
+ * Get whether to reset the target branch when a verification hook fails
+ * Without prompts the picks are kept, 'crcp undo' drops them later
+ * @param {{interactive: boolean}} runOptions
+ * @returns {boolean|function(Object): Promise<boolean>}
+ */
+function getUndoOnFailure(runOptions) {
+  return runOptions.interactive ? questions.confirmUndoPick : false;
+}
+
+/**
+ * Prompt for the values that are still missing, or fail without prompts
+ * @param {Object} state
+ * @param {string[]} keys - Values needed by the command, see PICK_VALUES
+ * @param {{interactive: boolean}} runOptions
+ */
+async function askMissingValues(state, keys, runOptions) {
+  const missing = PICK_VALUES.filter(
+    ({ key, isSet }) => keys.includes(key) && !isSet(state)
+  );
+  if (missing.length && !runOptions.interactive) {
+    throw new InputError(
+      `Missing ${missing
+        .map(({ label }) => label)
+        .join(", ")}, set them on the command line or in the configuration.`
+    );
+  }
+  for (const { ask } of missing) {
+    await ask(state);
+  }
+}
+
+/**
+ * Show the commits of the source branch and whether the target branch has them
+ * @param {{interactive: boolean}} runOptions
+ * @returns {Promise<Object>} - Result of the API call
+ */
+async function listSourceCommits(runOptions) {
+  const state = loadRunState();
+  await askMissingValues(state, ["source", "branch"], runOptions);
+  const listing = await listCommits({
+    sourceRepoUrl: state.usingRemoteUrl,
+    sourceBranch: state.sourceBranch,
+    targetBranch: state.targetBranch || undefined,
+    hideApplied: state.hideApplied,
+    filters: state.commitFilters || {},
+    historyLimits: state.historyLimits,
+  });
+  printCommitList(state.sourceBranch, listing);
+  return listing;
+}
+
+/**
+ * Resolve the conflicted files of the stopped session, then continue it when asked to
+ * 'crcp resolve ours|theirs|mergetool [files]' resolves the given files, every conflicted file by default;
+ * 'crcp resolve' asks what to do with each file
+ * @param {string[]} args - Resolution and files
+ * @param {{interactive: boolean}} runOptions
+ * @param {boolean|function} push - See continueCherryPick
+ * @returns {Promise<Object>} - The files still conflicted, or the result of the continued pick
+ */
+async function runResolve(args, runOptions, push) {
+  const state = loadRunState();
+  const tool = state.mergetool;
+  const [resolution, ...files] = args;
+  let report = getConflicts();
+
+  if (resolution) {
+    if (!RESOLUTIONS.includes(resolution)) {
+      throw new InputError(
+        `Unknown resolution "${resolution}", use 'crcp resolve ${RESOLUTIONS.join(
+          "|"
+        )} [files]'.`
+      );
+    }
+    const paths = files.length ? files : report.files.map(({ path }) => path);
+    report = resolveConflicts(
+      Object.fromEntries(paths.map((filePath) => [filePath, resolution])),
+      { tool }
+    );
+  } else if (runOptions.interactive) {
+    printConflictReport(report);
+    for (const file of report.files) {
+      const choice = await questions.resolveConflict(file, tool);
+      if (choice) resolveConflicts({ [file.path]: choice }, { tool });
+    }
+    report = getConflicts();
+  } else {
+    throw new InputError(
+      `Pass a resolution without prompts: 'crcp resolve ${RESOLUTIONS.join(
+        "|"
+      )} [files]'.`
+    );
+  }
+  printConflictReport(report);
+
+  const { values } = parseCliArgs();
+  const resume =
+    !report.files.length &&
+    (values.continue ||
+      (runOptions.interactive && (await questions.confirmContinue())));
+  if (!resume) return { conflictedFiles: report.files };
+  return continueCherryPick({
+    push,
+    editMessage: getMessageEditor(state, runOptions),
+    selectChanges: getChangeSelector(state, runOptions),
+    undoOnFailure: getUndoOnFailure(runOptions),
+  });
+}
+
+/**
+ * Compare the source branch with the target branch, printed as a table or rendered to a file
+ * @param {{interactive: boolean}} runOptions
+ * @returns {Promise<{report: Object, output?: string}>}
+ */
+async function runReport(runOptions) {
+  const { values } = parseCliArgs();
+  const { output } = values;
+  const format = values.format || "table";
+  if (format !== "table" && !REPORT_FORMATS.includes(format)) {
+    throw new InputError(
+      `Unknown report format "${format}", use ${[
+        "table",
+        ...REPORT_FORMATS,
+      ].join(", ")}.`
+    );
+  }
+  if (output && format === "table") {
+    throw new InputError(
+      'Pass "--format markdown", "json" or "html" to write the report to a file.'
+    );
+  }
+
+  const state = loadRunState();
+  await askMissingValues(state, ["source", "branch"], runOptions);
+  const report = await reportDivergence({
+    sourceRepoUrl: state.usingRemoteUrl,
+    sourceBranch: state.sourceBranch,
+    targetBranch: state.targetBranch || undefined,
+    paths: values.path || [],
+  });
+
+  if (format === "table") {
+    printDivergenceReport(report);
+    return { report };
+  }
+  const content = renderDivergenceReport(report, format);
+  if (!output) {
+    console.log(content.trimEnd());
+    return { report };
+  }
+  fs.writeFileSync(output, content);
+  console.log(chalk.green(`Wrote the ${format} report: ${output}`));
+  return { report, output };
+}
+
+/**
+ * Write a project configuration file from the command line and the prompts
+ * @param {string} subcommand - Only "init" is supported
+ * @param {{interactive: boolean}} runOptions
+ * @returns {Promise<{configFile: string, config: Object}>}
+ */
+async function runConfigCommand(subcommand, runOptions) {
+  if (subcommand !== "init") {
+    throw new InputError(
+      `Unknown config command "${subcommand || ""}", use 'crcp config init'.`
+    );
+  }
+  // Only what is given now goes into the file, not the options of other layers
+  const state = {
+    usingRemoteUrl: "",
+    sourceBranch: "",
+    commits: [],
+    targetBranch: "",
+    historyLimits: {},
+  };
+  argsCheck(state);
+  if (runOptions.interactive) {
+    await askMissingValues(state, ["source", "branch", "target"], runOptions);
+  }
+
+  const config = Object.fromEntries(
+    [
+      ["sourceRepoUrl", state.usingRemoteUrl],
+      ["sourceBranch", state.sourceBranch],
+      ["targetBranch", state.targetBranch],
+      ["commitHash", state.commits.length ? state.commits : undefined],
+      ["pushPolicy", state.pushPolicy],
+      ["reviewBranchTemplate", state.reviewBranchTemplate],
+      ["hideApplied", state.hideApplied],
+      ["worktree", state.worktree],
+    ].filter(([, value]) => value !== undefined && value !== "")
+  );
+  const configFile = initConfigFile(config, {
+    force: Boolean(parseCliArgs().values.force),
+  });
+  console.log(chalk.green(`Wrote the configuration file: ${configFile}`));
+  return { configFile, config };
+}
+
+/**
+ * Pick the new commits of the source branch, and with "--both" those of the target branch the other way,
+ * or mark commits as skipped by the sync
+ * @param {string[]} args - "skip" or "unskip" followed by commits, nothing to sync
+ * @param {{interactive: boolean, dryRun: boolean}} runOptions
+ * @param {boolean|function} push - See cherryPick
+ * @returns {Promise<Object>} - Result of the API call
+ */
+async function runSync(args, runOptions, push) {
+  const state = loadRunState();
+  await askMissingValues(state, ["source", "branch", "target"], runOptions);
+  const pair = {
+    sourceRepoUrl: state.usingRemoteUrl,
+    sourceBranch: state.sourceBranch,
+    targetBranch: state.targetBranch,
+  };
+
+  const [action, ...commits] = args;
+  if (action === "skip" || action === "unskip") {
+    const syncState = await markSyncSkipped({
+      ...pair,
+      commits,
+      skipped: action === "skip",
+    });
+    console.log(
+      `${syncState.skipped.length} commit(s) of ${state.sourceBranch} are skipped by the sync.`
+    );
+    return { sync: syncState };
+  }
+  if (action) {
+    throw new InputError(
+      `Unknown sync command "${action}", use 'crcp sync', 'crcp sync skip' or 'crcp sync unskip'.`
+    );
+  }
+
+  const { values } = parseCliArgs();
+  let planShown = false;
+  const result = await syncBranch({
+    ...pair,
+    from: values.from,
+    bothWays: Boolean(values.both),
+    reverseFrom: values["reverse-from"],
+    push,
+    pushPolicy: state.pushPolicy,
+    reviewBranchTemplate: state.reviewBranchTemplate,
+    pathMap: state.pathMap,
+    unmappedPaths: state.unmappedPaths,
+    substitutions: state.substitutions,
+    messageTemplate: state.messageTemplate,
+    trailers: state.trailers,
+    issueKeys: state.issueKeys,
+    editMessage: getMessageEditor(state, runOptions),
+    includePaths: state.includePaths,
+    excludePaths: state.excludePaths,
+    selectChanges: getChangeSelector(state, runOptions),
+    strategies: state.strategies,
+    hooks: state.hooks,
+    undoOnFailure: getUndoOnFailure(runOptions),
+    worktree: state.worktree,
+    dryRun: runOptions.dryRun,
+    // Show the combined plan before anything is picked
+    confirm: async (plans) => {
+      Object.values(plans).forEach(printSyncPlan);
+      planShown = true;
+      return runOptions.interactive ? questions.confirmSync(plans) : true;
+    },
+  });
+  if (!planShown) {
+    Object.values(result.sync).forEach(printSyncPlan);
+  }
+  return result;
+}
+
+/**
+ * Step out of the session's worktree when it is resumed from inside it, the worktree is removed
+ * once the session ends and the remaining git commands need a directory that still exists
+ */
+function leaveSessionWorktree() {
+  const session = loadSession();
+  if (!session || !session.worktree) return;
+  if (path.resolve(process.cwd()).startsWith(path.resolve(session.worktree))) {
+    process.chdir(getMainWorktree());
+  }
+}
+
+/**
+ * Run the command given on the command line
+ * @param {{interactive: boolean, push: boolean, dryRun: boolean}} runOptions
+ * @returns {Promise<Object>} - Result of the API call
+ */
+async function run(runOptions) {
+  // Ask before pushing unless running without prompts
+  const push =
+    runOptions.interactive && runOptions.push
+      ? questions.confirmPush
+      : runOptions.push;
+  const { name: command, args } = getCommand();
+
+  // Resume or cancel a session stopped on a conflict
+  if (["continue", "skip", "abort"].includes(command)) {
+    leaveSessionWorktree();
+  }
+  if (command === "continue" || command === "skip") {
+    const resume = command === "continue" ? continueCherryPick : skipCherryPick;
+    const state = loadRunState();
+    return resume({
+      push,
+      editMessage: getMessageEditor(state, runOptions),
+      selectChanges: getChangeSelector(state, runOptions),
+      undoOnFailure: getUndoOnFailure(runOptions),
+    });
+  }
+  if (command === "abort") return abortCherryPick();
+  if (command === "resolve") return runResolve(args, runOptions, push);
+
+  // Work on the journal of past runs
+  if (command === "undo") {
+    // The pushed branches are only reset with '--remote', after confirming when prompting
+    const { remote } = parseCliArgs().values;
+    return undoCherryPick({
+      remote:
+        Boolean(remote) &&
+        (runOptions.interactive ? questions.confirmUndoRemote : true),
+    });
+  }
+  if (command === "history") {
+    const runs = getRunHistory();
+    printRunHistory(runs);
+    return { runs };
+  }
+  if (command === "status") {
+    const status = getStatus();
+    printStatus(status);
+    return status;
+  }
+  if (command === "config") return runConfigCommand(args[0], runOptions);
+  if (command === "list") return listSourceCommits(runOptions);
+  if (command === "report") return runReport(runOptions);
+  if (command === "sync") return runSync(args, runOptions, push);
+
+  if (loadSession() && !runOptions.dryRun) {
+    throw new CrcpError(
+      "A crcp session is in progress. Run 'crcp continue', 'crcp skip' or 'crcp abort' first."
+    );
+  }
+
+  const cherryConfig = loadRunState();
+  await askMissingValues(
+    cherryConfig,
+    PICK_VALUES.map(({ key }) => key),
+    runOptions
+  );
+
+  const {
+    usingRemoteName,
+    usingRemoteUrl,
+    sourceBranch,
+    commits,
+    targetBranch,
+    pathMap,
+    unmappedPaths,
+    substitutions,
+    messageTemplate,
+    trailers,
+    issueKeys,
+    includePaths,
+    excludePaths,
+    strategies,
+    hooks,
+    mergeMode,
+    mainline,
+    pushPolicy,
+    reviewBranchTemplate,
+    worktree,
+  } = cherryConfig;
+
+  // Print confirmation information
+  printConfirmationInfo(
+    usingRemoteName,
+    usingRemoteUrl,
+    sourceBranch,
+    commits,
+    targetBranch
+  );
+
+  const result = await cherryPick({
+    sourceRepoUrl: usingRemoteUrl,
+    sourceBranch,
+    commits,
+    targetBranch,
+    mergeMode,
+    mainline,
+    push,
+    pushPolicy,
+    reviewBranchTemplate,
+    pathMap,
+    unmappedPaths,
+    substitutions,
+    messageTemplate,
+    trailers,
+    issueKeys,
+    editMessage: getMessageEditor(cherryConfig, runOptions),
+    includePaths,
+    excludePaths,
+    selectChanges: getChangeSelector(cherryConfig, runOptions),
+    strategies,
+    hooks,
+    undoOnFailure: getUndoOnFailure(runOptions),
+    worktree,
+    dryRun: runOptions.dryRun,
+  });
+  if (result.branches) {
+    result.branches
+      .filter(({ dryRun }) => dryRun)
+      .forEach((branch) => printDryRunReport(branch.targetRef, branch.commits));
+    printFanOutReport(result.branches);
+  } else if (result.dryRun) {
+    printDryRunReport(result.targetRef, result.commits);
+  }
+  return result;
+}
+
+// Main Process
+async function main() {
+  let values;
+  try {
+    ({ values } = parseCliArgs());
+  } catch (error) {
+    // Unknown flags stop the run before anything is picked or pushed
+    console.error(chalk.red(error.message));
+    process.exit(error.exitCode || EXIT_CODES.GENERAL);
+  }
+  if (values.help) {
+    console.log(getUsage());
+    return;
+  }
+  if (values.version) {
+    const { version } = JSON.parse(
+      fs.readFileSync(new URL("../package.json", import.meta.url), "utf-8")
+    );
+    console.log(version);
+    return;
+  }
+
+  const runOptions = getRunOptions();
+  // Keep stdout for the JSON result in non-interactive mode
+  if (!runOptions.interactive) {
+    const stderrConsole = new Console(process.stderr);
+    console.log = stderrConsole.log;
+    console.table = stderrConsole.table;
+  }
+
+  let result;
+  let runError;
+  try {
+    result = await run(runOptions);
+    // A pick onto several branches reports the failed ones instead of throwing
+    const failedBranch = ((result && result.branches) || []).find(
+      ({ error }) => error
+    );
+    if (failedBranch) {
+      runError = new CrcpError(
+        `The pick failed on ${
+          result.branches.filter(({ error }) => error).length
+        } of ${result.branches.length} target branches.`,
+        failedBranch.error.exitCode
+      );
+      console.error(chalk.red(runError.message));
+    }
+  } catch (error) {
+    runError = error;
+    result = summarizeRun({
+      results: error.results,
+      hooks: error.hooks,
+      conflictedFiles: error.conflictedFiles,
+      pushReport: error.pushReport,
+    });
+    console.error(chalk.red(error.message));
+  }
+
+  if (!runOptions.interactive) {
+    const report = {
+      ok: !runError,
+      exitCode: runError ? runError.exitCode || EXIT_CODES.GENERAL : 0,
+      error: runError
+        ? { type: runError.name, message: runError.message }
+        : null,
+      ...result,
+    };
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  }
+  if (runError) {
+    process.exit(runError.exitCode || EXIT_CODES.GENERAL);
+  }
+}
+
+main();
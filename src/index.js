@@ -1,179 +1,731 @@
-#!/usr/bin/env node
-
-import { execSync, spawn } from "child_process";
-import inquirer from "inquirer";
+import { execSync } from "child_process";
 import chalk from "chalk";
-
-import { questions } from "./preset/questions.js";
-import { getRepositories, getLastRemote } from "./utils/repo/index.js";
 import {
-  createTemporaryBranch,
-  switchTargetBranch,
+  ensureRemote,
+  fetchBranch,
+  forgetFetches,
+} from "./utils/repo/index.js";
+import {
+  getCurrentBranch,
+  resolveTargetRef,
+  resolveTargetBranches,
 } from "./utils/branch/index.js";
+import {
+  parseCommitSpecs,
+  resolveCommits,
+  expandMergeCommits,
+} from "./utils/commit/index.js";
+import { listBranchCommits } from "./utils/history/index.js";
+import {
+  EXIT_CODES,
+  CrcpError,
+  InputError,
+  FetchError,
+  ConflictError,
+  PushError,
+  HookError,
+} from "./utils/error/index.js";
+import { validatePickOptions } from "./services/config.js";
+import {
+  loadSession,
+  startSession,
+  continueSession,
+  skipSession,
+  abortSession,
+  summarizeRun,
+  getSessionStatus,
+  getSessionConflicts,
+  resolveSessionConflicts,
+} from "./services/session.js";
+import { simulatePicks } from "./services/simulate.js";
+import { undoLastRun, getRunHistory, createRunId } from "./services/journal.js";
+import {
+  getSyncDirections,
+  resetSyncMirror,
+  leaveSyncMirror,
+  reversePortingOptions,
+  isAncestor,
+  planSync,
+  advanceSyncWatermark,
+  setSyncSkipped,
+} from "./services/sync.js";
+import {
+  buildDivergenceReport,
+  renderDivergenceReport,
+} from "./services/report.js";
 
-import { printConfirmationInfo } from "./utils/common/index.js";
-import { configCheck } from "./services/config.js";
-import { argsCheck } from "./services/args.js";
-
-// Handle Ctrl + C (SIGINT) gracefully
-process.on("SIGINT", () => {
-  console.log("\nOperation aborted by user.");
-  process.exit(1);
-});
+/**
+ * Cherry-pick commits from a source repository onto a branch of the current repository
+ * @param {Object} options
+ * @param {string} options.sourceRepoUrl - Added as a remote when it is not connected yet
+ * @param {string} options.sourceBranch
+ * @param {string|string[]} options.commits - Hashes and "A..B" ranges
+ * @param {string|string[]} options.targetBranch - A branch, a comma-separated list or a glob of local branches
+ * such as "release/*"; several branches are picked one after the other, see fanOutPick
+ * @param {string} [options.mergeMode] - How merge commits are picked: "mainline" picks each one as its diff
+ * against the "mainline" parent, "replay" picks the commits it merged one by one. Required to pick a merge commit
+ * @param {number} [options.mainline] - Parent number of the "mainline" mode (default 1)
+ * @param {boolean|function(Array<Object>, Object): Promise<boolean>} [options.push] - Push the target branch
+ * once every commit is applied, or a callback deciding it from the results and the push report (default false)
+ * @param {string} [options.pushPolicy] - "ff-only" (default), "force-with-lease" or "review-branch"
+ * @param {string} [options.reviewBranchTemplate] - Branch pushed by the "review-branch" policy,
+ * e.g. "crcp/{target}-{commit}"
+ * @param {Object<string, string>} [options.pathMap]
+ * @param {string} [options.unmappedPaths]
+ * @param {Array<Object>} [options.substitutions]
+ * @param {string} [options.messageTemplate] - Message of the picked commits, e.g. "{message}"; see renderCommitMessage
+ * @param {Object<string, string>} [options.trailers] - Trailers added to the picked commits,
+ * e.g. { "Cherry-picked-from": "{sourceRepo}@{hash}", "Source-branch": "{sourceBranch}" }
+ * @param {Object<string, string>} [options.issueKeys] - Issue keys rewritten in the picked messages,
+ * e.g. { "APP-123": "WEB-456", "APP": "WEB" }
+ * @param {function(string, string): Promise<string>} [options.editMessage] - Receives the final message
+ * and the source hash of each picked commit, resolves to the message to commit
+ * @param {string[]} [options.includePaths] - Only pick the changes to the source files matching these globs
+ * @param {string[]} [options.excludePaths] - Leave the changes to the source files matching these globs out
+ * @param {function(string, Array<{path: string, hunks: string[]}>): Promise<Object<string, number[]>>}
+ * [options.selectChanges] - Receives the source hash and the files and hunks of each commit, resolves to
+ * the indexes of the hunks to keep per path; files missing from the result are left out.
+ * A partially picked commit lists what it left out in its message, with a "Partially-ported-from" trailer
+ * @param {string[]} [options.strategies] - Strategies tried in turn when a commit conflicts, e.g.
+ * ["pick", "renames=30", "-Xignore-space-change", "apply-3way", "patience"]; see parseStrategy.
+ * Commits that needed a fallback get "strategy" and "attempts" in "commits"
+ * @param {Object<string, string|string[]>} [options.hooks] - Commands run before the first pick ("prePick"),
+ * once every commit is picked ("postPick") and before the push ("prePush"), e.g. { postPick: "npm test" }.
+ * A failing command stops the run and nothing is pushed
+ * @param {boolean|function(Object): Promise<boolean>} [options.undoOnFailure] - Reset the target branch when
+ * the "postPick" or "prePush" hook fails, or a callback receiving the failed command that decides it (default false)
+ * @param {boolean} [options.worktree] - Pick in a temporary git worktree, leaving the current checkout
+ * untouched. The target branch, which may be the checked out one, only moves once the picks are done.
+ * The worktree is kept while a conflict waits to be resolved
+ * @param {boolean} [options.dryRun] - Only predict how each commit and file would apply.
+ * Nothing is checked out, created or pushed; "commits" then holds the per-file prediction
+ * @returns {Promise<{commits: Array<Object>, applied: string[], conflicts: string[], pushed: string[],
+ * hooks: Array<Object>}>} - "hooks" holds the result and the end of the output of each hook command
+ * @throws {InputError|FetchError|ConflictError|PushError|HookError}
+ */
+async function cherryPick(options = {}) {
+  const targetBranches = resolveTargetBranches(options.targetBranch);
+  try {
+    if (targetBranches.length > 1) {
+      return await fanOutPick(options, targetBranches);
+    }
+    return await runPick({ ...options, targetBranch: targetBranches[0] });
+  } finally {
+    // The fetch of the commit picker is reused, the next call fetches again
+    forgetFetches();
+  }
+}
 
 /**
- * Execute cherry pick
- * @param {string} commitHash
- * @returns
+ * Pick the same commits onto several target branches, each in its own session
+ * A branch that fails does not stop the others: a session it leaves stopped, e.g. on a conflict, is aborted,
+ * leaving that branch as it was, and is resolved by picking onto that branch alone.
+ * The sessions share one journal run, so 'crcp undo' undoes the whole fan-out.
+ * The branch checked out before is checked out again
+ * @param {Object} options - See cherryPick
+ * @param {string[]} targetBranches
+ * @returns {Promise<{branches: Array<Object>, pushed: string[]}>} - Per branch the result of cherryPick with
+ * "targetBranch", "status" ("clean", "conflict" or "failed") and the "error" of a failed branch
+ * @throws {CrcpError} - When a session is already in progress
  */
-function cherryPickAndHandleConflicts(commitHash) {
-  console.log(chalk.greenBright(`Cherry-picking commit ${commitHash}...`));
-  return new Promise((resolve, reject) => {
+async function fanOutPick(options, targetBranches) {
+  if (loadSession() && !options.dryRun) {
+    throw new CrcpError(
+      "A crcp session is in progress. Continue, skip or abort it first."
+    );
+  }
+  const originalBranch = getCurrentBranch();
+  const runId = createRunId();
+  const branches = [];
+  for (const [index, targetBranch] of targetBranches.entries()) {
+    console.log(
+      chalk.bold(
+        `Picking onto "${targetBranch}" (${index + 1}/${
+          targetBranches.length
+        })...`
+      )
+    );
     try {
-      const gitProcess = spawn("git", ["cherry-pick", commitHash]);
-      let statusDisplay = true;
-      gitProcess.stdout.on("data", (data) => {
-        console.log(`[stdout] ${data}`);
-      });
-
-      // Capture data from the standard error stream
-      gitProcess.stderr.on("data", (data) => {
-        console.error(`[stderr] ${data}`);
-
-        if (statusDisplay) {
-          execSync("git status", { stdio: "inherit" });
-          statusDisplay = false;
-        }
+      const result = await runPick({ ...options, targetBranch }, { runId });
+      branches.push({
+        targetBranch,
+        status: result.conflicts.length ? "conflict" : "clean",
+        ...result,
       });
-
-      // Listen for command execution completion events
-      gitProcess.on("close", (code) => {
-        if (code === 0) {
-          console.log(chalk.greenBright("Cherry-pick successful"));
-          resolve();
+    } catch (error) {
+      // Plain git failures, e.g. a missing remote branch, only fail this branch as well
+      let { results = [] } = error;
+      // Restore the branch so that the next one can be picked, whatever left its session behind
+      if (loadSession()) {
+        try {
+          abortSession();
+          results = results.map((result) =>
+            result.status === "applied"
+              ? { ...result, status: "undone" }
+              : result
+          );
+        } catch (abortError) {
+          console.log(
+            chalk.red(
+              `Failed to abort the session on "${targetBranch}". ${abortError.message}`
+            )
+          );
         }
+      }
+      branches.push({
+        targetBranch,
+        status: error instanceof ConflictError ? "conflict" : "failed",
+        ...summarizeRun({
+          results,
+          hooks: error.hooks,
+          conflictedFiles: error.conflictedFiles,
+          pushReport: error.pushReport,
+        }),
+        error: {
+          type: error.name,
+          message: error.message,
+          exitCode: error.exitCode || EXIT_CODES.GENERAL,
+        },
       });
+    }
+  }
+  if (getCurrentBranch() !== originalBranch) {
+    try {
+      execSync(`git checkout ${originalBranch}`, { stdio: "ignore" });
     } catch (error) {
-      reject(error);
+      // The branches are picked, their results are still reported
+      console.log(
+        chalk.yellow(
+          `Failed to check out "${originalBranch}" again, the picks are kept. ${error.message}`
+        )
+      );
     }
+  }
+  return {
+    branches,
+    pushed: branches.flatMap(({ pushed = [] }) => pushed),
+  };
+}
+
+/**
+ * Pick commits as cherryPick does
+ * @param {Object} options - See cherryPick
+ * @param {Object} [session] - Sync plan, push destination, message context and journal run of the session,
+ * see startSession
+ * @returns {Promise<Object>} - Same result as cherryPick
+ */
+async function runPick(options, session = {}) {
+  const {
+    sourceRepoUrl,
+    sourceBranch,
+    commits,
+    targetBranch,
+    mergeMode,
+    mainline = 1,
+    push = false,
+    pushPolicy = "ff-only",
+    reviewBranchTemplate,
+    pathMap = {},
+    unmappedPaths = "report",
+    substitutions = [],
+    messageTemplate,
+    trailers = {},
+    issueKeys = {},
+    editMessage,
+    includePaths = [],
+    excludePaths = [],
+    selectChanges,
+    strategies = [],
+    hooks = {},
+    undoOnFailure = false,
+    worktree = false,
+    dryRun = false,
+  } = options;
+
+  const commitSpecs = parseCommitSpecs(commits || []);
+  if (!sourceRepoUrl) throw new InputError("sourceRepoUrl is required.");
+  if (!sourceBranch) throw new InputError("sourceBranch is required.");
+  if (!commitSpecs.length) throw new InputError("commits are required.");
+  if (!targetBranch) throw new InputError("targetBranch is required.");
+  validatePickOptions({
+    pathMap,
+    unmappedPaths,
+    substitutions,
+    pushPolicy,
+    reviewBranchTemplate,
+    messageTemplate,
+    trailers,
+    issueKeys,
+    hooks,
+    mergeMode,
+    mainline,
+    includePaths,
+    excludePaths,
+    strategies,
+    selectChanges,
+  });
+
+  const usingRemoteName = ensureRemote(sourceRepoUrl);
+  // Reuses the fetch of the commit picker when it ran in this process
+  await fetchBranch(usingRemoteName, sourceBranch);
+  // Expand ranges and order the picked commits oldest-first, then replay or keep the merges
+  const orderedCommits = expandMergeCommits(resolveCommits(commitSpecs), {
+    mergeMode,
+    mainline,
   });
+  const pickOptions = {
+    pathMap,
+    unmappedPaths,
+    substitutions,
+    pushPolicy,
+    reviewBranchTemplate,
+    messageTemplate,
+    trailers,
+    issueKeys,
+    hooks,
+    mainline,
+    includePaths,
+    excludePaths,
+    strategies,
+  };
+
+  if (dryRun) {
+    const targetRef = resolveTargetRef(targetBranch);
+    const predictions = simulatePicks(orderedCommits, targetRef, pickOptions);
+    return {
+      dryRun: true,
+      targetRef,
+      commits: predictions,
+      applied: [],
+      conflicts: predictions
+        .filter(({ status }) =>
+          ["conflict", "missing", "unmapped"].includes(status)
+        )
+        .map(({ hash }) => hash),
+      pushed: [],
+    };
+  }
+
+  if (loadSession()) {
+    throw new CrcpError(
+      "A crcp session is in progress. Continue, skip or abort it first."
+    );
+  }
+
+  const outcome = await startSession(
+    {
+      usingRemoteName,
+      usingRemoteUrl: sourceRepoUrl,
+      sourceBranch,
+      targetBranch,
+      commits: orderedCommits,
+      options: pickOptions,
+      worktree,
+      ...session,
+    },
+    { push, editMessage, selectChanges, undoOnFailure }
+  );
+  return summarizeRun(outcome);
+}
+
+/**
+ * Get what a session needs to know about the sync plan its commits come from
+ * @param {Object} plan - See planSync
+ * @param {boolean} [requiresPush] - Only move the watermark once the picks are pushed
+ * @returns {Object}
+ */
+function getSessionSync(plan, requiresPush = false) {
+  const { key, tip, sourceRepo, sourceBranch, targetBranch } = plan;
+  return { key, tip, sourceRepo, sourceBranch, targetBranch, requiresPush };
 }
 
-// Main Process
-async function main() {
+/**
+ * Pick every source commit newer than the sync watermark of a source/target pair that the target does not have
+ * Commits marked as skipped and commits that were ported from the target are left out. The run stops at the first
+ * conflict like cherryPick, the watermark only moves once every commit is picked
+ * With "bothWays" the new commits of the target branch are synced back to the source branch as well:
+ * they are picked onto a local mirror of the source branch, which is pushed to the source remote,
+ * and every picked commit carries a "Cherry-picked-from" trailer so that it is never sent back
+ * @param {Object} options - Same options as cherryPick, without "commits"
+ * @param {string} [options.from] - Source commit to start after, required for the first sync of a pair
+ * @param {boolean} [options.bothWays] - Sync the target branch back to the source branch too
+ * @param {string} [options.reverseFrom] - Target commit to start the way back after, required for its first sync
+ * @param {function(Object): Promise<boolean>} [options.confirm] - Receives the plans ("forward" and, with
+ * "bothWays", "reverse"), resolves to whether to pick them
+ * @returns {Promise<Object>} - Same result as cherryPick for the last direction picked, with the "sync" plans
+ * @throws {InputError|FetchError|ConflictError|PushError|HookError}
+ */
+async function syncBranch(options = {}) {
+  const {
+    sourceRepoUrl,
+    sourceBranch,
+    targetBranch,
+    from,
+    bothWays = false,
+    reverseFrom,
+    confirm,
+    push = false,
+    trailers = {},
+    dryRun = false,
+  } = options;
+  if (!sourceRepoUrl) throw new InputError("sourceRepoUrl is required.");
+  if (!sourceBranch) throw new InputError("sourceBranch is required.");
+  if (!targetBranch) throw new InputError("targetBranch is required.");
+  // The watermark belongs to one source/target pair
+  if (resolveTargetBranches(targetBranch).length > 1) {
+    throw new InputError("A sync takes a single target branch.");
+  }
+  if (loadSession() && !dryRun) {
+    throw new CrcpError(
+      "A crcp session is in progress. Continue, skip or abort it first."
+    );
+  }
+
   try {
-    let cherryConfig = {
-      usingRemoteName: "",
-      usingRemoteUrl: "",
-      sourceBranch: "",
-      commitHash: "",
-      targetBranch: "",
-      isInitialized: false,
+    const usingRemoteName = ensureRemote(sourceRepoUrl);
+    await fetchBranch(usingRemoteName, sourceBranch);
+    const pair = {
+      usingRemoteName,
+      usingRemoteUrl: sourceRepoUrl,
+      sourceBranch,
+      targetBranch,
     };
-    let isInitialized = false;
-
-    // check crcpconfig file
-    configCheck(cherryConfig);
-    // check command line arguments
-    argsCheck(cherryConfig);
-
-    console.table(cherryConfig);
-    console.log("isInitialized", cherryConfig.isInitialized);
-
-    // Using interactive commands
-    if (!cherryConfig.isInitialized) {
-      const { lastRemoteName, lastRemoteUrl } = getLastRemote();
-      // Confirm the source repository and whether to use the most recently added remote repository
-      const { remoteUrl, remoteName } = await getRepositories(
-        lastRemoteName,
-        lastRemoteUrl
+    const directions = getSyncDirections(pair);
+    const plans = { forward: planSync(directions.forward, from) };
+    if (bothWays) {
+      // Fail before anything is picked when the way back cannot be ported
+      reversePortingOptions(options);
+      plans.reverse = planSync(directions.reverse, reverseFrom);
+    }
+    const pickedPlans = Object.values(plans).filter(
+      ({ pending }) => pending.length
+    );
+    const outcome = { ...summarizeRun({}), sync: plans };
+
+    if (!pickedPlans.length || dryRun) {
+      // Everything newer is applied or skipped already
+      if (!dryRun) {
+        Object.values(plans).forEach((plan) => advanceSyncWatermark(plan));
+      }
+      return outcome;
+    }
+    if (confirm && !(await confirm(plans))) {
+      return outcome;
+    }
+
+    // Without a provenance trailer a commit could come back the way it went
+    const syncTrailers =
+      bothWays && !trailers["Cherry-picked-from"]
+        ? { ...trailers, "Cherry-picked-from": "{sourceRepo}@{hash}" }
+        : trailers;
+
+    let result = outcome;
+    if (plans.forward.pending.length) {
+      result = await runPick(
+        { ...options, trailers: syncTrailers, commits: plans.forward.pending },
+        { sync: getSessionSync(plans.forward) }
       );
-      // Update global variables
-      usingRemoteName = remoteName;
-      usingRemoteUrl = remoteUrl;
-      sourceBranch = await questions.question1();
-      const selectedCommit = await questions.question2(
+    } else {
+      advanceSyncWatermark(plans.forward);
+    }
+
+    if (plans.reverse && plans.reverse.pending.length) {
+      // The commits go onto a local copy of the source branch, which is pushed back to the source remote
+      const mirrorBranch = resetSyncMirror(
         usingRemoteName,
-        sourceBranch
+        sourceBranch,
+        targetBranch
+      );
+      result = await runPick(
+        {
+          ...options,
+          ...reversePortingOptions(options),
+          trailers: syncTrailers,
+          commits: plans.reverse.pending,
+          targetBranch: mirrorBranch,
+          // Only a fast-forward of the source branch is safe
+          pushPolicy: "ff-only",
+        },
+        {
+          sync: getSessionSync(plans.reverse, true),
+          pushTo: { remote: usingRemoteName, branch: sourceBranch },
+          messageContext: {
+            sourceRepo: plans.reverse.sourceRepo,
+            sourceBranch: targetBranch,
+            targetBranch: sourceBranch,
+          },
+        }
       );
-      console.log("selectedCommit", selectedCommit);
-      commitHash = selectedCommit;
-      targetBranch = await questions.questions3();
-
-      cherryConfig.usingRemoteName = usingRemoteName;
-      cherryConfig.usingRemoteUrl = usingRemoteUrl;
-      cherryConfig.sourceBranch = sourceBranch;
-      cherryConfig.commitHash = commitHash;
-      cherryConfig.targetBranch = targetBranch;
+      leaveSyncMirror(mirrorBranch, targetBranch);
+      if (!push) {
+        console.log(
+          `The picks for ${usingRemoteName}/${sourceBranch} wait on "${mirrorBranch}".`
+        );
+      }
+    } else if (plans.reverse) {
+      advanceSyncWatermark(plans.reverse);
     }
+    return { ...result, sync: plans };
+  } finally {
+    forgetFetches();
+  }
+}
 
-    const {
+/**
+ * Mark source commits as intentionally skipped by the sync of a source/target pair, or pick them again
+ * Commits of the target branch are marked for the way back, see syncBranch. Only commits newer than
+ * the watermark are affected
+ * @param {Object} options
+ * @param {string} options.sourceRepoUrl
+ * @param {string} options.sourceBranch
+ * @param {string} options.targetBranch
+ * @param {string|string[]} options.commits - Hashes and "A..B" ranges
+ * @param {boolean} [options.skipped] - false to pick the commits again (default true)
+ * @returns {Promise<Object>} - The stored sync state of the last direction marked
+ * @throws {InputError|FetchError}
+ */
+async function markSyncSkipped(options = {}) {
+  const {
+    sourceRepoUrl,
+    sourceBranch,
+    targetBranch,
+    commits,
+    skipped = true,
+  } = options;
+  const commitSpecs = parseCommitSpecs(commits || []);
+  if (!sourceRepoUrl) throw new InputError("sourceRepoUrl is required.");
+  if (!sourceBranch) throw new InputError("sourceBranch is required.");
+  if (!targetBranch) throw new InputError("targetBranch is required.");
+  if (!commitSpecs.length) throw new InputError("commits are required.");
+
+  try {
+    const usingRemoteName = ensureRemote(sourceRepoUrl);
+    await fetchBranch(usingRemoteName, sourceBranch);
+    const { forward, reverse } = getSyncDirections({
       usingRemoteName,
-      usingRemoteUrl,
+      usingRemoteUrl: sourceRepoUrl,
       sourceBranch,
-      commitHash,
       targetBranch,
-    } = cherryConfig;
+    });
+    const hashes = resolveCommits(commitSpecs);
+    const forwardHashes = hashes.filter((hash) =>
+      isAncestor(hash, forward.sourceRef)
+    );
+    const reverseHashes = hashes.filter(
+      (hash) => !forwardHashes.includes(hash)
+    );
 
-    // Print confirmation information
-    printConfirmationInfo(
+    let stored = null;
+    if (forwardHashes.length) {
+      stored = setSyncSkipped(forward, forwardHashes, skipped);
+    }
+    if (reverseHashes.length) {
+      stored = setSyncSkipped(reverse, reverseHashes, skipped);
+    }
+    return stored;
+  } finally {
+    forgetFetches();
+  }
+}
+
+/**
+ * Finish the commit that stopped the session after a manual resolution, then pick the rest
+ * @param {Object} [options]
+ * @param {boolean|function(Array<Object>, Object): Promise<boolean>} [options.push]
+ * @param {function(string, string): Promise<string>} [options.editMessage] - See cherryPick
+ * @param {function} [options.selectChanges] - See cherryPick
+ * @param {boolean|function(Object): Promise<boolean>} [options.undoOnFailure] - See cherryPick
+ * @returns {Promise<Object>} - Same result as cherryPick
+ */
+async function continueCherryPick({
+  push = false,
+  editMessage,
+  selectChanges,
+  undoOnFailure = false,
+} = {}) {
+  return summarizeRun(
+    await continueSession({ push, editMessage, selectChanges, undoOnFailure })
+  );
+}
+
+/**
+ * Drop the commit that stopped the session, then pick the rest
+ * @param {Object} [options]
+ * @param {boolean|function(Array<Object>, Object): Promise<boolean>} [options.push]
+ * @param {function(string, string): Promise<string>} [options.editMessage] - See cherryPick
+ * @param {function} [options.selectChanges] - See cherryPick
+ * @param {boolean|function(Object): Promise<boolean>} [options.undoOnFailure] - See cherryPick
+ * @returns {Promise<Object>} - Same result as cherryPick
+ */
+async function skipCherryPick({
+  push = false,
+  editMessage,
+  selectChanges,
+  undoOnFailure = false,
+} = {}) {
+  return summarizeRun(
+    await skipSession({ push, editMessage, selectChanges, undoOnFailure })
+  );
+}
+
+/**
+ * Cancel the session, restoring the target and the original branch
+ * @returns {Object} - Same result as cherryPick
+ */
+function abortCherryPick() {
+  return summarizeRun(abortSession());
+}
+
+/**
+ * Reset the branches changed by the last run recorded in the journal
+ * @param {Object} [options]
+ * @param {boolean|function(Array<Object>): Promise<boolean>} [options.remote] - Reset the pushed branches as well,
+ * or a callback receiving them that decides it (default false)
+ * @returns {Promise<{runId: string, outcome: string, refs: Array<Object>, remoteRefs: Array<Object>,
+ * skipped: Array<Object>}>} - See undoLastRun
+ * @throws {CrcpError|PushError}
+ */
+async function undoCherryPick({ remote = false } = {}) {
+  if (loadSession()) {
+    throw new CrcpError(
+      "A crcp session is in progress. Abort it instead of undoing the run."
+    );
+  }
+  return undoLastRun({ remote });
+}
+
+/**
+ * List the commits of a source branch and whether the target branch already has them
+ * @param {Object} options
+ * @param {string} options.sourceRepoUrl - Added as a remote when it is not connected yet
+ * @param {string} options.sourceBranch
+ * @param {string} [options.targetBranch] - Compared branch, the current branch when omitted
+ * @param {boolean} [options.hideApplied] - Leave out commits that are already applied
+ * @param {Object} [options.filters] - "author", "since", "until", "message" and "path" filters
+ * @param {{maxCount?: number}} [options.historyLimits] - Never list more commits than "maxCount"
+ * @returns {Promise<{commits: Array<Object>, hasMore: boolean}>} - Newest-first, each commit with its "status":
+ * "applied", "partial" or "missing"
+ * @throws {InputError|FetchError}
+ */
+async function listCommits(options = {}) {
+  const {
+    sourceRepoUrl,
+    sourceBranch,
+    targetBranch,
+    hideApplied = false,
+    filters = {},
+    historyLimits = {},
+  } = options;
+  if (!sourceRepoUrl) throw new InputError("sourceRepoUrl is required.");
+  if (!sourceBranch) throw new InputError("sourceBranch is required.");
+
+  try {
+    const usingRemoteName = ensureRemote(sourceRepoUrl);
+    const { commits, hasMore } = await listBranchCommits(
       usingRemoteName,
-      usingRemoteUrl,
       sourceBranch,
-      commitHash,
-      targetBranch
+      {
+        hideApplied,
+        filters,
+        limits: historyLimits,
+        targetRef: targetBranch ? resolveTargetRef(targetBranch) : "HEAD",
+      }
     );
+    return { commits, hasMore };
+  } finally {
+    forgetFetches();
+  }
+}
 
-    // [Interaction process]
-
-    // Pull the remote warehouse information specified by the user
-    console.log(chalk.greenBright("Fetching from source repository..."));
-    execSync(`git fetch ${usingRemoteName} ${sourceBranch}`);
-    console.log();
+/**
+ * Compare a source branch with a target branch: the commits only in the source, only in the target and in both
+ * A commit is in both when the other side has the same patch or a commit whose provenance trailer refers to it
+ * @param {Object} options
+ * @param {string} options.sourceRepoUrl - Added as a remote when it is not connected yet
+ * @param {string} options.sourceBranch
+ * @param {string} [options.targetBranch] - Local branch compared, the current branch when omitted
+ * @param {string[]} [options.paths] - Only compare the commits touching these globs, e.g. "src/**\/*.js"
+ * @returns {Promise<Object>} - See buildDivergenceReport, render it with renderDivergenceReport
+ * @throws {InputError|FetchError}
+ */
+async function reportDivergence(options = {}) {
+  const { sourceRepoUrl, sourceBranch, targetBranch, paths = [] } = options;
+  if (!sourceRepoUrl) throw new InputError("sourceRepoUrl is required.");
+  if (!sourceBranch) throw new InputError("sourceBranch is required.");
 
-    // Create a temporary branch - 'temp-${sourceBranch}'
-    createTemporaryBranch(
-      `temp-${sourceBranch}`,
-      `${usingRemoteName}/${sourceBranch}`
+  const targetRef = targetBranch ? resolveTargetRef(targetBranch) : "HEAD";
+  if (targetBranch && targetRef === "HEAD") {
+    throw new InputError(`Target branch "${targetBranch}" could not be found.`);
+  }
+  try {
+    const usingRemoteName = ensureRemote(sourceRepoUrl);
+    await fetchBranch(usingRemoteName, sourceBranch);
+    return buildDivergenceReport(
+      `${usingRemoteName}/${sourceBranch}`,
+      targetRef,
+      paths
     );
-
-    // Create/switch to a user-specified target branch
-    switchTargetBranch(targetBranch);
-
-    // Execute 'cherry-pick' and handle conflicts
-    cherryPickAndHandleConflicts(commitHash)
-      .then(async () => {
-        // If there is no conflict, prompt the user whether to push
-        const confirm = await inquirer.prompt([
-          {
-            type: "confirm",
-            name: "pushChanges",
-            message:
-              "Do you want to push the changes to the remote repository?",
-          },
-        ]);
-
-        console.log("Waiting push...");
-        if (confirm.pushChanges) {
-          execSync(`git push -f origin temp-${sourceBranch}:${targetBranch}`, {
-            stdio: "inherit",
-          });
-          console.log(chalk.green("Changes successfully pushed."));
-        } else {
-          console.log(chalk.yellow("Merge completed but not pushed."));
-        }
-      })
-      .catch((error) => {
-        console.error(
-          chalk.red(
-            `Cherry-pick failed. Resolve the conflicts and perform the merge manually. ${error}`
-          )
-        );
-      });
-  } catch (error) {
-    console.error(chalk.red(error.message));
-    process.exit(1);
+  } finally {
+    forgetFetches();
   }
 }
 
-main();
+/**
+ * Describe each file left conflicted by the commit that stopped the session in progress
+ * @returns {{commit: string, subject: string, files: Array<{path: string, type: string, detail: string,
+ * hunks: number, intent: string}>}} - type is "content", "add/add", "delete/modify" or "rename",
+ * "intent" tells what the source commit does to the file
+ * @throws {CrcpError} - When no session is stopped on a commit
+ */
+function getConflicts() {
+  return getSessionConflicts();
+}
+
+/**
+ * Resolve files left conflicted by the commit that stopped the session, then continue with continueCherryPick
+ * @param {Object<string, string>} resolutions - File path => "ours" (the target version),
+ * "theirs" (the source commit's version) or "mergetool"
+ * @param {Object} [options]
+ * @param {string} [options.tool] - Merge tool of "mergetool", git's "merge.tool" by default
+ * @returns {Object} - The files still conflicted, see getConflicts
+ * @throws {InputError|CrcpError}
+ */
+function resolveConflicts(resolutions, { tool } = {}) {
+  return resolveSessionConflicts(resolutions, { tool });
+}
+
+/**
+ * Describe the session in progress and the last recorded run
+ * @returns {{session: Object|null, lastRun: Object|null}}
+ */
+function getStatus() {
+  const runs = getRunHistory();
+  return {
+    session: getSessionStatus(),
+    lastRun: runs.length ? runs[runs.length - 1] : null,
+  };
+}
+
+export {
+  cherryPick,
+  continueCherryPick,
+  skipCherryPick,
+  abortCherryPick,
+  undoCherryPick,
+  syncBranch,
+  markSyncSkipped,
+  listCommits,
+  reportDivergence,
+  renderDivergenceReport,
+  getConflicts,
+  resolveConflicts,
+  getStatus,
+  getRunHistory,
+  EXIT_CODES,
+  CrcpError,
+  InputError,
+  FetchError,
+  ConflictError,
+  PushError,
+  HookError,
+};
@@ -1,6 +1,37 @@
 import inquirer from "inquirer";
 import chalk from "chalk";
-import { getCommits } from "../utils/common/index.js";
+import { getCommits } from "../utils/history/index.js";
+import { InputError } from "../utils/error/index.js";
+
+// Choice of the commit picker that loads the next page of older commits
+const LOAD_MORE = "crcp:load-more";
+
+/**
+ * Load pages of commits until at least one more can be listed or the history ends
+ * @param {string} repoName
+ * @param {string} sourceBranch
+ * @param {Object} options - See getCommits
+ * @param {{commits: Array<Object>, offset: number, hasMore: boolean}} [listing] - Commits listed so far, updated in place
+ * @returns {Promise<Object>} - The listing
+ */
+async function loadMoreCommits(
+  repoName,
+  sourceBranch,
+  options,
+  listing = { commits: [], offset: 0, hasMore: true }
+) {
+  const listed = listing.commits.length;
+  do {
+    const page = await getCommits(repoName, sourceBranch, {
+      ...options,
+      offset: listing.offset,
+    });
+    listing.commits.push(...page.commits);
+    listing.offset += page.loaded;
+    listing.hasMore = page.hasMore;
+  } while (listing.commits.length === listed && listing.hasMore);
+  return listing;
+}
 
 /**
  * Interaction Question Mapping
@@ -18,36 +49,291 @@ const questions = {
     ]);
     return sourceBranch ? sourceBranch.trim() : "";
   },
-  question2: async (repoName, sourceBranch) => {
-    try {
-      const commits = await getCommits(repoName, sourceBranch);
-      const { selectedCommit } = await inquirer.prompt([
+  commitFilters: async () => {
+    const { useFilters } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "useFilters",
+        default: false,
+        message:
+          "Filter the commits by author, date, message or path before picking?",
+      },
+    ]);
+    if (!useFilters) return {};
+    const filters = await inquirer.prompt([
+      {
+        type: "input",
+        name: "author",
+        message: "Author name or email (leave empty for any):",
+      },
+      {
+        type: "input",
+        name: "since",
+        message: 'Committed after (e.g. "2024-01-01" or "2 weeks ago"):',
+      },
+      {
+        type: "input",
+        name: "until",
+        message: "Committed before:",
+      },
+      {
+        type: "input",
+        name: "message",
+        message: "Text in the commit message:",
+      },
+      {
+        type: "input",
+        name: "path",
+        message: 'Touched path (e.g. "src/modules/pay/"):',
+      },
+    ]);
+    // Leave out the filters that were not filled in
+    return Object.fromEntries(
+      Object.entries(filters)
+        .map(([key, value]) => [key, value.trim()])
+        .filter(([, value]) => value)
+    );
+  },
+  question2: async (repoName, sourceBranch, options = {}) => {
+    let filters = options.filters || (await questions.commitFilters());
+    let listing = await loadMoreCommits(repoName, sourceBranch, {
+      ...options,
+      filters,
+    });
+    // Ask again until the filters match something
+    while (!listing.commits.length && Object.keys(filters).length) {
+      console.log(`No commits of branch ${sourceBranch} match the filters.`);
+      filters = await questions.commitFilters();
+      listing = await loadMoreCommits(repoName, sourceBranch, {
+        ...options,
+        filters,
+      });
+    }
+    if (!listing.commits.length) {
+      throw new InputError(
+        `All commits of branch ${sourceBranch} are already applied.`
+      );
+    }
+
+    let selected = [];
+    for (;;) {
+      const { selectedCommits } = await inquirer.prompt([
         {
-          type: "list",
-          name: "selectedCommit",
-          message: `Please select a commit record to perform cherry-pick (branch: ${sourceBranch}):`,
-          choices: commits,
+          type: "checkbox",
+          name: "selectedCommits",
+          message: `Please select the commit records to perform cherry-pick (branch: ${sourceBranch}, ${listing.commits.length} shown):`,
+          choices: [
+            ...listing.commits.map((commit) => ({
+              ...commit,
+              checked: selected.includes(commit.value),
+            })),
+            ...(listing.hasMore
+              ? [
+                  {
+                    name: chalk.gray("Load older commits..."),
+                    value: LOAD_MORE,
+                  },
+                ]
+              : []),
+          ],
           loop: false,
           pageSize: 10,
+          validate: (input) =>
+            input.length ? true : "Select at least one commit.",
         },
       ]);
-      return selectedCommit;
-    } catch (error) {
-      console.error(chalk.red(error));
-      process.exit(1);
+      selected = selectedCommits.filter((value) => value !== LOAD_MORE);
+      if (!selectedCommits.includes(LOAD_MORE)) return selected;
+      await loadMoreCommits(
+        repoName,
+        sourceBranch,
+        { ...options, filters },
+        listing
+      );
     }
   },
+
+  mergeMode: async (merges) => {
+    const { mode } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "mode",
+        message: `${merges.length} merge commit(s) selected (${merges
+          .map((hash) => hash.slice(0, 8))
+          .join(", ")}). How should they be picked?`,
+        choices: [
+          {
+            name: "As one commit, against the mainline (first) parent",
+            value: { mergeMode: "mainline", mainline: 1 },
+          },
+          {
+            name: "As one commit, against the merged (second) parent",
+            value: { mergeMode: "mainline", mainline: 2 },
+          },
+          {
+            name: "Replay the commits of the merged branch one by one",
+            value: { mergeMode: "replay" },
+          },
+        ],
+      },
+    ]);
+    return mode;
+  },
+
   questions3: async () => {
     const { targetBranch } = await inquirer.prompt([
       {
         type: "input",
         name: "targetBranch",
-        message: "Enter the target branch name:",
+        message:
+          "Enter the target branch name (or a comma-separated list, or a glob such as release/*):",
         validate: (input) => (input ? true : "Target branch name is required."),
       },
     ]);
     return targetBranch ? targetBranch.trim() : "";
   },
+  confirmPush: async (results, report) => {
+    const { pushChanges } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "pushChanges",
+        message: `Do you want to push "${report.source}" to ${report.remote}/${report.destination} (${report.policy})?`,
+      },
+    ]);
+    return pushChanges;
+  },
+  confirmSync: async (plans) => {
+    const { pickPending } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "pickPending",
+        message: `Pick ${Object.values(plans)
+          .filter(({ pending }) => pending.length)
+          .map(
+            ({ pending, targetBranch }) =>
+              `${pending.length} commit(s) onto "${targetBranch}"`
+          )
+          .join(" and ")}?`,
+      },
+    ]);
+    return pickPending;
+  },
+  editMessage: async (message, commitHash) => {
+    const { finalMessage } = await inquirer.prompt([
+      {
+        type: "editor",
+        name: "finalMessage",
+        message: `Edit the message of ${commitHash.slice(0, 8)}:`,
+        default: message,
+      },
+    ]);
+    return finalMessage;
+  },
+  selectChanges: async (commitHash, files) => {
+    // One choice per hunk under a separator per file, files without hunks are picked whole
+    const changeCount = (hunk, sign) =>
+      hunk.split("\n").filter((line) => line.startsWith(sign)).length;
+    const { changes } = await inquirer.prompt([
+      {
+        type: "checkbox",
+        name: "changes",
+        pageSize: 20,
+        message: `Choose the changes of ${commitHash.slice(0, 8)} to pick:`,
+        choices: files.flatMap(({ path, hunks }) =>
+          hunks.length
+            ? [
+                new inquirer.Separator(path),
+                ...hunks.map((hunk, index) => ({
+                  name: `${hunk.split("\n")[0]} ${chalk.green(
+                    `+${changeCount(hunk, "+")}`
+                  )} ${chalk.red(`-${changeCount(hunk, "-")}`)}`,
+                  value: { path, index },
+                  checked: true,
+                })),
+              ]
+            : [
+                {
+                  name: `${path} ${chalk.gray("(whole file)")}`,
+                  value: { path, index: null },
+                  checked: true,
+                },
+              ]
+        ),
+      },
+    ]);
+    return changes.reduce((selection, { path, index }) => {
+      selection[path] = selection[path] || [];
+      if (index !== null) selection[path].push(index);
+      return selection;
+    }, {});
+  },
+  resolveConflict: async (file, tool) => {
+    // Rejected hunks are applied by hand, or left out
+    const choices =
+      file.type === "rejected"
+        ? [
+            { name: "Leave the rejected hunks out (ours)", value: "ours" },
+            { name: "Leave it for now", value: null },
+          ]
+        : [
+            {
+              name: `Open the merge tool${tool ? ` (${tool})` : ""}`,
+              value: "mergetool",
+            },
+            { name: "Keep the target version (ours)", value: "ours" },
+            {
+              name: "Take the source commit's version (theirs)",
+              value: "theirs",
+            },
+            { name: "Leave it for now", value: null },
+          ];
+    const { resolution } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "resolution",
+        message: `${file.path} (${file.type}, the source commit ${file.intent}):`,
+        choices,
+      },
+    ]);
+    return resolution;
+  },
+  confirmContinue: async () => {
+    const { continuePick } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "continuePick",
+        message: "Every conflict is resolved. Continue the pick?",
+      },
+    ]);
+    return continuePick;
+  },
+  confirmUndoPick: async (failed) => {
+    const { undoPick } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "undoPick",
+        default: false,
+        message: `The ${failed.hook} hook "${failed.command}" failed. Undo the picked commits?`,
+      },
+    ]);
+    return undoPick;
+  },
+  confirmUndoRemote: async (remoteRefs) => {
+    const { resetRemote } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "resetRemote",
+        default: false,
+        message: `The run pushed ${remoteRefs
+          .map(
+            ({ remote, ref }) =>
+              `${remote}/${ref.replace(/^refs\/heads\//, "")}`
+          )
+          .join(", ")}. Reset the remote branches as well?`,
+      },
+    ]);
+    return resetRemote;
+  },
 };
 
 export { questions };
@@ -1,32 +1,279 @@
+import { parseArgs } from "util";
 import { getRepoNameFromUrl } from "../utils/repo/index.js";
-import chalk from "chalk";
-
-export function argsCheck(state, isInitialized) {
-  const args = process.argv.slice(2);
-  const errors = [
-    "Source repository URL is required.",
-    "Source branch name is required.",
-    "Commit hash is required.",
-    "Target branch name is required.",
-  ];
-
-  if (args.length > 0) {
-    errors.forEach((error, index) => {
-      if (!args[index]) {
-        console.error(chalk.red(`Insufficient command parameters: ${error}`));
-        process.exit(1);
-      }
+import { parseCommitSpecs } from "../utils/commit/index.js";
+import { InputError } from "../utils/error/index.js";
+
+// Flags accepted on the command line
+const CLI_OPTIONS = {
+  help: { type: "boolean", short: "h" },
+  version: { type: "boolean", short: "v" },
+  source: { type: "string" },
+  branch: { type: "string" },
+  commit: { type: "string", multiple: true },
+  target: { type: "string" },
+  mainline: { type: "string" },
+  "replay-merges": { type: "boolean" },
+  from: { type: "string" },
+  both: { type: "boolean" },
+  "reverse-from": { type: "string" },
+  force: { type: "boolean" },
+  continue: { type: "boolean" },
+  skip: { type: "boolean" },
+  abort: { type: "boolean" },
+  "hide-applied": { type: "boolean" },
+  yes: { type: "boolean", short: "y" },
+  ci: { type: "boolean" },
+  push: { type: "boolean" },
+  "no-push": { type: "boolean" },
+  remote: { type: "boolean" },
+  "dry-run": { type: "boolean" },
+  worktree: { type: "boolean" },
+  "edit-message": { type: "boolean" },
+  include: { type: "string", multiple: true },
+  exclude: { type: "string", multiple: true },
+  "select-changes": { type: "boolean" },
+  strategy: { type: "string", multiple: true },
+  tool: { type: "string" },
+  author: { type: "string" },
+  since: { type: "string" },
+  until: { type: "string" },
+  grep: { type: "string" },
+  path: { type: "string", multiple: true },
+  format: { type: "string" },
+  output: { type: "string", short: "o" },
+  "max-count": { type: "string" },
+  profile: { type: "string" },
+  "push-policy": { type: "string" },
+  "review-branch": { type: "string" },
+};
+
+/**
+ * Split command line arguments into named flags and positional values
+ * @returns {{values: Object, positionals: string[]}}
+ * @throws {InputError} - On unknown flags and flags missing their value, e.g. a misspelled '--no-push'
+ */
+export function parseCliArgs() {
+  try {
+    return parseArgs({
+      args: process.argv.slice(2),
+      options: CLI_OPTIONS,
+      allowPositionals: true,
+      strict: true,
     });
-    const sourceRepoUrl = args[0];
-    const sourceBranch = args[1];
-    const commitHash = args[2];
-    const targetBranch = args[3];
+  } catch (error) {
+    if (!/^ERR_PARSE_ARGS_/.test(error.code)) throw error;
+    // Keep the first sentence, node's hint about '--' does not apply to crcp
+    const [reason] = error.message.split(". ");
+    throw new InputError(
+      `${reason.replace(/\.$/, "")}. Run "crcp --help" for the options.`
+    );
+  }
+}
+
+// Subcommands, a run without one picks commits
+const COMMANDS = [
+  "pick",
+  "list",
+  "status",
+  "config",
+  "sync",
+  "report",
+  "continue",
+  "skip",
+  "abort",
+  "resolve",
+  "undo",
+  "history",
+];
+
+const USAGE = `Usage: crcp [command] [options]
+
+Commands:
+  pick [url] [branch] [commits] [target]  Pick commits, prompting for the missing values (default)
+  list                 Show the commits of the source branch and whether the target has them
+  status               Show the session in progress and the last run
+  config init          Write a project .crcpconfig.json
+  sync                 Pick every new commit of the source branch since the last sync
+  sync --both          Sync the target branch back to the source branch as well
+  sync skip|unskip <commits>  Leave commits out of the sync, or take them back
+  report               Compare the source branch with the target branch: commits only in one of them or in both
+  continue | skip | abort  Resume or cancel a session stopped on a conflict
+  resolve [ours|theirs|mergetool] [files]  Resolve the conflicted files, prompting per file by default;
+                       add --continue to continue the pick once every file is resolved
+  undo [--remote]      Reset the local branches changed by the last run, and with --remote the pushed ones
+  history              Show the recorded runs
+
+Options:
+  --source <url>       Source repository URL
+  --branch <name>      Source branch
+  --commit <spec>      Commit hash, "A,B" list or "A..B" range, may be repeated
+  --target <name>      Target branch, a comma-separated list or a glob of local branches, e.g. "release/*"
+  --mainline <n>       Pick merge commits as one commit, diffed against parent n
+  --replay-merges      Pick the commits merged by merge commits one by one
+  --from <commit>      Source commit the sync starts after, required the first time
+  --reverse-from <commit>  Target commit the way back starts after, required the first time
+  --profile <name>     Configuration profile
+  --push-policy <name> ff-only, force-with-lease or review-branch
+  --review-branch <template>  Push to a review branch, e.g. "crcp/{target}-{commit}"
+  --worktree           Pick in a temporary worktree
+  --edit-message       Edit the message of each picked commit before it is committed
+  --include <glob>, --exclude <glob>  Only pick the changes to some files, may be repeated
+  --select-changes     Choose the files and hunks of each picked commit
+  --strategy <name>    Strategy tried when the previous one conflicts, may be repeated:
+                       pick, renames=<n>, -X<option>, patience or apply-3way
+  --tool <name>        Merge tool opened by 'crcp resolve mergetool'
+  --dry-run            Only predict how the commits would apply
+  --push               Push the target branch without prompting, needed to push with --yes / --ci
+  --no-push            Never push the target branch
+  -y, --yes, --ci      Never prompt and print the result as JSON, nothing is pushed without --push
+  --hide-applied       Leave out commits the target already has
+  --author, --since, --until, --grep, --path  Filter the listed commits
+  --max-count <n>      Never list more than n commits
+  --format <name>      Report format: table (default), markdown, json or html
+  -o, --output <file>  Write the report to a file
+  --force              Overwrite the file written by 'config init'
+  -h, --help           Show this help
+  -v, --version        Show the version`;
+
+/**
+ * Get the usage text printed by '--help'
+ * @returns {string}
+ */
+export function getUsage() {
+  return USAGE;
+}
+
+/**
+ * Get the command requested on the command line
+ * '--continue', '--skip' and '--abort' are kept as aliases of the subcommands
+ * @returns {{name: string, args: string[]}} - Command name and its positional arguments
+ */
+export function getCommand() {
+  const { values, positionals } = parseCliArgs();
+  if (COMMANDS.includes(positionals[0])) {
+    return { name: positionals[0], args: positionals.slice(1) };
+  }
+  const sessionAction = ["continue", "skip", "abort"].find(
+    (action) => values[action]
+  );
+  if (sessionAction) return { name: sessionAction, args: [] };
+  return { name: "pick", args: positionals };
+}
+
+/**
+ * Get how the run should behave once the commits are picked
+ * Prompting runs ask before pushing unless '--no-push' is given,
+ * '--yes' / '--ci' never prompt and only push when '--push' asks for it
+ * @returns {{interactive: boolean, push: boolean, dryRun: boolean}}
+ */
+export function getRunOptions() {
+  const { values } = parseCliArgs();
+  const interactive = !(values.yes || values.ci);
+  return {
+    interactive,
+    push: !values["no-push"] && (interactive || Boolean(values.push)),
+    dryRun: Boolean(values["dry-run"]),
+  };
+}
+
+/**
+ * Apply the command line arguments on top of the configuration
+ * @param {Object} state
+ */
+export function argsCheck(state) {
+  const { values } = parseCliArgs();
+  if (values["hide-applied"]) {
+    state.hideApplied = true;
+  }
+  if (values.worktree) {
+    state.worktree = true;
+  }
+  if (values["edit-message"]) {
+    state.editMessage = true;
+  }
+  // Partial picks, e.g. '--include "src/**" --exclude "**/*.test.js"'
+  if (values.include) {
+    state.includePaths = values.include;
+  }
+  if (values.exclude) {
+    state.excludePaths = values.exclude;
+  }
+  if (values["select-changes"]) {
+    state.selectChanges = true;
+  }
+  if (values.tool) {
+    state.mergetool = values.tool;
+  }
+  // Fallback chain of conflicting picks, e.g. '--strategy pick --strategy renames=30 --strategy apply-3way'
+  if (values.strategy) {
+    state.strategies = values.strategy;
+  }
+  // Filters of the interactive commit picker
+  const commitFilters = Object.fromEntries(
+    [
+      ["author", values.author],
+      ["since", values.since],
+      ["until", values.until],
+      ["message", values.grep],
+      // '--path' may be repeated
+      ["path", values.path],
+    ].filter(
+      ([, value]) =>
+        (typeof value === "string" || Array.isArray(value)) && value.length
+    )
+  );
+  if (Object.keys(commitFilters).length) {
+    state.commitFilters = commitFilters;
+  }
+  // Bound the history that is listed for large source repositories, the branch itself is always fully fetched
+  if (values["max-count"] !== undefined) {
+    const maxCount = Number(values["max-count"]);
+    if (!Number.isInteger(maxCount) || maxCount < 1) {
+      throw new InputError('"--max-count" must be a positive number.');
+    }
+    state.historyLimits.maxCount = maxCount;
+  }
+  // How merge commits are picked
+  if (values.mainline !== undefined) {
+    const mainline = Number(values.mainline);
+    if (!Number.isInteger(mainline) || mainline < 1) {
+      throw new InputError('"--mainline" must be a parent number, e.g. 1.');
+    }
+    state.mergeMode = "mainline";
+    state.mainline = mainline;
+  }
+  if (values["replay-merges"]) {
+    if (values.mainline !== undefined) {
+      throw new InputError(
+        'Pass either "--mainline" or "--replay-merges", not both.'
+      );
+    }
+    state.mergeMode = "replay";
+  }
+  // '--review-branch <template>' implies the "review-branch" push policy
+  if (values["review-branch"]) {
+    state.pushPolicy = "review-branch";
+    state.reviewBranchTemplate = values["review-branch"];
+  }
+  if (values["push-policy"]) {
+    state.pushPolicy = values["push-policy"];
+  }
+
+  // Positional values fill the pick in order, named flags take precedence
+  const { name, args } = getCommand();
+  const [positionalUrl, positionalBranch, positionalCommits, positionalTarget] =
+    name === "pick" ? args : [];
+  const sourceRepoUrl = values.source || positionalUrl;
+  const sourceBranch = values.branch || positionalBranch;
+  // e.g. "abc123", "abc123,def456" or "abc123..def456"
+  const commitSpecs = values.commit || positionalCommits;
+  const targetBranch = values.target || positionalTarget;
+
+  if (sourceRepoUrl) {
     state.usingRemoteName = getRepoNameFromUrl(sourceRepoUrl);
     state.usingRemoteUrl = sourceRepoUrl;
-    state.sourceBranch = sourceBranch;
-    state.commitHash = commitHash;
-    state.targetBranch = targetBranch;
-    console.log("设置了isInitialized为true");
-    state.isInitialized = true;
   }
+  if (sourceBranch) state.sourceBranch = sourceBranch;
+  if (commitSpecs) state.commits = parseCommitSpecs(commitSpecs);
+  if (targetBranch) state.targetBranch = targetBranch;
 }
@@ -1,55 +1,489 @@
-import chalk from "chalk";
+import fs from "fs";
+import os from "os";
 import path from "path";
 import { loadConfigFile } from "../utils/common/index.js";
 import { getRepoNameFromUrl } from "../utils/repo/index.js";
+import { parseCommitSpecs } from "../utils/commit/index.js";
+import { compileSubstitutions } from "../utils/patch/index.js";
+import { InputError } from "../utils/error/index.js";
+import { PUSH_POLICIES } from "./push.js";
+import { HOOK_NAMES } from "./hooks.js";
+import { parseStrategy } from "./strategies.js";
+import { parseCliArgs } from "./args.js";
 
-export function configCheck(state, isInitialized) {
-  const configFilePath = path.resolve(process.cwd(), ".crcpconfig.json");
-  const config = loadConfigFile(configFilePath);
-  if (config) {
-    // 检查配置文件中的字段是否正确和完整
-    if (!config.sourceRepoUrl) {
-      console.error(
-        chalk.red(
-          "The source repository URL is missing in the configuration file."
+// Ways to pick a merge commit, see expandMergeCommits
+const MERGE_MODES = ["mainline", "replay"];
+
+/**
+ * Check the substitution rules of the configuration file
+ * @param {*} substitutions
+ * @returns {string|null} - Error message, null if the rules are valid
+ */
+function validateSubstitutions(substitutions) {
+  if (!Array.isArray(substitutions)) {
+    return 'The "substitutions" option must be a list of rules.';
+  }
+  const invalidIndex = substitutions.findIndex(
+    (rule) =>
+      !rule ||
+      typeof rule.from !== "string" ||
+      !rule.from ||
+      typeof rule.to !== "string" ||
+      (rule.paths !== undefined &&
+        (!Array.isArray(rule.paths) ||
+          rule.paths.some((pattern) => typeof pattern !== "string")))
+  );
+  if (invalidIndex !== -1) {
+    return `Substitution rule #${
+      invalidIndex + 1
+    } needs string "from" and "to" values and an optional list of "paths" globs.`;
+  }
+  try {
+    compileSubstitutions(substitutions);
+  } catch (error) {
+    return `Invalid substitution pattern: ${error.message}`;
+  }
+  return null;
+}
+
+/**
+ * Check the porting options shared by the configuration file and the API
+ * @param {Object} options
+ * @param {Object<string, string>} [options.pathMap]
+ * @param {string} [options.unmappedPaths]
+ * @param {Array<Object>} [options.substitutions]
+ * @param {string} [options.pushPolicy]
+ * @param {string} [options.reviewBranchTemplate]
+ * @param {string} [options.messageTemplate]
+ * @param {Object<string, string>} [options.trailers]
+ * @param {Object<string, string>} [options.issueKeys]
+ * @param {Object<string, string|string[]>} [options.hooks]
+ * @param {string} [options.mergeMode]
+ * @param {number} [options.mainline]
+ * @param {string[]} [options.includePaths]
+ * @param {string[]} [options.excludePaths]
+ * @param {string[]} [options.strategies]
+ * @param {boolean|function} [options.selectChanges]
+ */
+export function validatePickOptions({
+  pathMap = {},
+  unmappedPaths = "report",
+  substitutions = [],
+  pushPolicy = PUSH_POLICIES[0],
+  reviewBranchTemplate,
+  messageTemplate,
+  trailers = {},
+  issueKeys = {},
+  hooks = {},
+  mergeMode,
+  mainline = 1,
+  includePaths = [],
+  excludePaths = [],
+  strategies = [],
+  selectChanges,
+}) {
+  // Optional path remapping between differently laid-out repositories
+  if (
+    !pathMap ||
+    typeof pathMap !== "object" ||
+    Array.isArray(pathMap) ||
+    Object.values(pathMap).some((value) => typeof value !== "string")
+  ) {
+    throw new InputError(
+      'The "pathMap" option must map source paths to target paths.'
+    );
+  }
+
+  if (!["report", "drop"].includes(unmappedPaths)) {
+    throw new InputError(
+      'The "unmappedPaths" option must be "report" or "drop".'
+    );
+  }
+
+  // Optional replacement rules applied to the ported changes
+  const substitutionsError = validateSubstitutions(substitutions);
+  if (substitutionsError) {
+    throw new InputError(substitutionsError);
+  }
+
+  if (!PUSH_POLICIES.includes(pushPolicy)) {
+    throw new InputError(
+      `The "pushPolicy" option must be one of: ${PUSH_POLICIES.join(", ")}.`
+    );
+  }
+
+  if (
+    reviewBranchTemplate !== undefined &&
+    (typeof reviewBranchTemplate !== "string" || !reviewBranchTemplate.trim())
+  ) {
+    throw new InputError(
+      'The "reviewBranchTemplate" option must be a branch name template.'
+    );
+  }
+
+  // Optional rewriting of the picked commit messages
+  if (
+    messageTemplate !== undefined &&
+    (typeof messageTemplate !== "string" || !messageTemplate.trim())
+  ) {
+    throw new InputError(
+      'The "messageTemplate" option must be a message template, e.g. "{message}".'
+    );
+  }
+
+  if (
+    !trailers ||
+    typeof trailers !== "object" ||
+    Array.isArray(trailers) ||
+    Object.entries(trailers).some(
+      ([key, value]) =>
+        !/^[A-Za-z0-9-]+$/.test(key) || typeof value !== "string"
+    )
+  ) {
+    throw new InputError(
+      'The "trailers" option must map trailer keys such as "Source-branch" to values.'
+    );
+  }
+
+  if (
+    !issueKeys ||
+    typeof issueKeys !== "object" ||
+    Array.isArray(issueKeys) ||
+    Object.entries(issueKeys).some(
+      ([key, value]) =>
+        !/^[A-Z][A-Z0-9]*(-\d+)?$/.test(key) ||
+        typeof value !== "string" ||
+        !/^[A-Z][A-Z0-9]*(-\d+)?$/.test(value)
+    )
+  ) {
+    throw new InputError(
+      'The "issueKeys" option must map issue keys ("APP-123") or project keys ("APP") to their target.'
+    );
+  }
+
+  // Optional commands run around the pick, e.g. { "postPick": ["npm run lint", "npm test"] }
+  const isCommand = (command) =>
+    typeof command === "string" && command.trim() !== "";
+  if (
+    !hooks ||
+    typeof hooks !== "object" ||
+    Array.isArray(hooks) ||
+    Object.entries(hooks).some(
+      ([name, commands]) =>
+        !HOOK_NAMES.includes(name) ||
+        !(
+          isCommand(commands) ||
+          (Array.isArray(commands) && commands.every(isCommand))
         )
-      );
-      process.exit(1);
+    )
+  ) {
+    throw new InputError(
+      `The "hooks" option must map ${HOOK_NAMES.join(
+        ", "
+      )} to a command or a list of commands.`
+    );
+  }
+
+  // How merge commits are picked
+  if (mergeMode !== undefined && !MERGE_MODES.includes(mergeMode)) {
+    throw new InputError(
+      `The "mergeMode" option must be one of: ${MERGE_MODES.join(", ")}.`
+    );
+  }
+  if (!Number.isInteger(mainline) || mainline < 1) {
+    throw new InputError(
+      'The "mainline" option must be a parent number, starting at 1.'
+    );
+  }
+
+  // Optional partial picks, e.g. { "includePaths": ["src/**"], "excludePaths": ["**/*.test.js"] }
+  Object.entries({ includePaths, excludePaths }).forEach(([key, value]) => {
+    if (
+      !Array.isArray(value) ||
+      value.some((pattern) => typeof pattern !== "string" || !pattern.trim())
+    ) {
+      throw new InputError(`The "${key}" option must be a list of path globs.`);
     }
+  });
 
-    if (!config.targetBranch) {
-      console.error(
-        chalk.red("The target branch is missing in the configuration file.")
+  // Optional fallback chain of conflicting picks, e.g. ["pick", "renames=30", "apply-3way"]
+  if (!Array.isArray(strategies)) {
+    throw new InputError(
+      'The "strategies" option must be a list of strategies.'
+    );
+  }
+  const unknownStrategy = strategies.find(
+    (strategy) => !parseStrategy(strategy)
+  );
+  if (unknownStrategy !== undefined) {
+    throw new InputError(
+      `Unknown strategy ${JSON.stringify(
+        unknownStrategy
+      )}, use "pick", "renames=<n>", "-X<option>", "patience" or "apply-3way".`
+    );
+  }
+  // Rewritten patches are always applied with 'git apply --3way', there is no chain to fall back on
+  const rewritesPatches =
+    Object.keys(pathMap).length > 0 ||
+    substitutions.length > 0 ||
+    includePaths.length > 0 ||
+    excludePaths.length > 0 ||
+    Boolean(selectChanges);
+  if (
+    rewritesPatches &&
+    strategies.some((strategy) => parseStrategy(strategy).name !== "pick")
+  ) {
+    throw new InputError(
+      'The "strategies" option cannot be combined with "pathMap", "substitutions", "includePaths", "excludePaths" or "selectChanges".'
+    );
+  }
+}
+
+// Options accepted by the configuration files, their profiles and the environment
+const CONFIG_SCHEMA = {
+  sourceRepoUrl: { type: "string", env: "CRCP_SOURCE_REPO_URL" },
+  sourceBranch: { type: "string", env: "CRCP_SOURCE_BRANCH" },
+  targetBranch: { type: "string", env: "CRCP_TARGET_BRANCH" },
+  commitHash: { type: "commits", env: "CRCP_COMMITS" },
+  pathMap: { type: "object" },
+  unmappedPaths: { type: "string", env: "CRCP_UNMAPPED_PATHS" },
+  substitutions: { type: "array" },
+  pushPolicy: { type: "string", env: "CRCP_PUSH_POLICY" },
+  reviewBranchTemplate: { type: "string", env: "CRCP_REVIEW_BRANCH_TEMPLATE" },
+  hideApplied: { type: "boolean", env: "CRCP_HIDE_APPLIED" },
+  worktree: { type: "boolean", env: "CRCP_WORKTREE" },
+  messageTemplate: { type: "string", env: "CRCP_MESSAGE_TEMPLATE" },
+  trailers: { type: "object" },
+  issueKeys: { type: "object" },
+  editMessage: { type: "boolean", env: "CRCP_EDIT_MESSAGE" },
+  hooks: { type: "object" },
+  mergeMode: { type: "string", env: "CRCP_MERGE_MODE" },
+  mainline: { type: "integer", env: "CRCP_MAINLINE" },
+  includePaths: { type: "array" },
+  excludePaths: { type: "array" },
+  selectChanges: { type: "boolean", env: "CRCP_SELECT_CHANGES" },
+  strategies: { type: "array" },
+  mergetool: { type: "string", env: "CRCP_MERGETOOL" },
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string" && value.trim() !== "",
+  boolean: (value) => typeof value === "boolean",
+  integer: (value) => Number.isInteger(value) && value > 0,
+  object: (value) =>
+    Boolean(value) && typeof value === "object" && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  commits: (value) =>
+    (typeof value === "string" && value.trim() !== "") ||
+    (Array.isArray(value) &&
+      value.length > 0 &&
+      value.every((item) => typeof item === "string")),
+};
+
+const TYPE_LABELS = {
+  string: "a non-empty string",
+  boolean: "true or false",
+  integer: "a positive whole number",
+  object: "an object",
+  array: "a list",
+  commits: 'a commit hash, an "A..B" range or a list of them',
+};
+
+/**
+ * Suggest the option a misspelled key was probably meant to be
+ * @param {string} key
+ * @returns {string} - Hint to append to the error message
+ */
+function suggestOption(key) {
+  const lowerKey = key.toLowerCase();
+  const match = Object.keys(CONFIG_SCHEMA).find((option) => {
+    const lowerOption = option.toLowerCase();
+    return lowerOption.startsWith(lowerKey) || lowerKey.startsWith(lowerOption);
+  });
+  return match ? ` (did you mean "${match}"?)` : "";
+}
+
+/**
+ * Check one layer of configuration against the schema
+ * @param {*} config
+ * @param {string} source - Where the layer comes from, used in the error messages
+ * @param {Object} [options]
+ * @param {boolean} [options.allowProfiles] - Whether the layer may define named profiles
+ */
+function validateConfigLayer(config, source, { allowProfiles = false } = {}) {
+  if (!TYPE_CHECKS.object(config)) {
+    throw new InputError(`${source} must contain a JSON object.`);
+  }
+
+  Object.entries(config).forEach(([key, value]) => {
+    if (key === "profiles" && allowProfiles) {
+      if (!TYPE_CHECKS.object(value)) {
+        throw new InputError(
+          `${source}: "profiles" must map profile names to options.`
+        );
+      }
+      Object.entries(value).forEach(([name, profile]) =>
+        validateConfigLayer(profile, `${source} (profile "${name}")`)
       );
-      process.exit(1);
+      return;
     }
 
-    if (!config.sourceBranch) {
-      console.error(
-        chalk.red("The source branch is missing in the configuration file.")
+    const option = CONFIG_SCHEMA[key];
+    if (!option) {
+      throw new InputError(
+        `${source}: unknown option "${key}"${suggestOption(key)}.`
+      );
+    }
+    if (!TYPE_CHECKS[option.type](value)) {
+      throw new InputError(
+        `${source}: "${key}" must be ${TYPE_LABELS[option.type]}.`
       );
-      process.exit(1);
     }
+  });
+
+  try {
+    validatePickOptions(config);
+  } catch (error) {
+    throw new InputError(`${source}: ${error.message}`);
+  }
+}
+
+/**
+ * Read the options set through 'CRCP_*' environment variables
+ * @returns {Object}
+ */
+function readEnvConfig() {
+  const config = {};
+  Object.entries(CONFIG_SCHEMA).forEach(([key, { type, env }]) => {
+    const value = env && process.env[env];
+    if (!value) return;
+    if (type === "integer") {
+      config[key] = /^\d+$/.test(value) ? Number(value) : value;
+      return;
+    }
+    if (type !== "boolean") {
+      config[key] = value;
+      return;
+    }
+    if (!["true", "false", "1", "0"].includes(value.toLowerCase())) {
+      throw new InputError(`${env} must be "true" or "false".`);
+    }
+    config[key] = ["true", "1"].includes(value.toLowerCase());
+  });
+  validateConfigLayer(config, "environment");
+  return config;
+}
+
+/**
+ * Merge the configuration layers, from lowest to highest precedence:
+ * '~/.crcprc', the project '.crcpconfig.json', the selected profile of either file and 'CRCP_*' environment variables
+ * Command line arguments are applied on top by argsCheck
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Named profile, defaults to the CRCP_PROFILE environment variable
+ * @returns {Object} - Merged options
+ */
+export function loadConfig({ profile = process.env.CRCP_PROFILE } = {}) {
+  const layers = [
+    { source: "~/.crcprc", filePath: path.join(os.homedir(), ".crcprc") },
+    {
+      source: ".crcpconfig.json",
+      filePath: path.resolve(process.cwd(), ".crcpconfig.json"),
+    },
+  ].map(({ source, filePath }) => {
+    const config = loadConfigFile(filePath);
+    if (config) validateConfigLayer(config, source, { allowProfiles: true });
+    return config || {};
+  });
 
-    if (!config.commitHash) {
-      console.error(
-        chalk.red("The commit hash is missing in the configuration file.")
+  const merged = {};
+  layers.forEach(({ profiles, ...options }) => Object.assign(merged, options));
+
+  if (profile) {
+    const profiles = layers
+      .map((layer) => layer.profiles && layer.profiles[profile])
+      .filter(Boolean);
+    if (!profiles.length) {
+      const available = [
+        ...new Set(
+          layers.flatMap((layer) => Object.keys(layer.profiles || {}))
+        ),
+      ];
+      throw new InputError(
+        `Unknown profile "${profile}". ${
+          available.length
+            ? `Available profiles: ${available.join(", ")}.`
+            : "No profiles are defined."
+        }`
       );
-      process.exit(1);
     }
+    profiles.forEach((options) => Object.assign(merged, options));
+  }
 
-    const {
-      sourceRepoUrl,
-      sourceBranch: srBranch,
-      commitHash: srCommitHash,
-      targetBranch: trBranch,
-    } = config;
+  return Object.assign(merged, readEnvConfig());
+}
+
+/**
+ * Fill the run state from the layered configuration, see loadConfig
+ * @param {Object} state
+ */
+export function configCheck(state) {
+  const { values } = parseCliArgs();
+  const config = loadConfig(
+    values.profile ? { profile: values.profile } : undefined
+  );
+
+  if (config.sourceRepoUrl) {
+    state.usingRemoteName = getRepoNameFromUrl(config.sourceRepoUrl);
+    state.usingRemoteUrl = config.sourceRepoUrl;
+  }
+  if (config.sourceBranch) state.sourceBranch = config.sourceBranch;
+  if (config.targetBranch) state.targetBranch = config.targetBranch;
+  // "commitHash" accepts a hash, a list of hashes or "A..B" ranges
+  if (config.commitHash) state.commits = parseCommitSpecs(config.commitHash);
 
-    state.usingRemoteName = getRepoNameFromUrl(sourceRepoUrl);
-    state.usingRemoteUrl = sourceRepoUrl;
-    state.sourceBranch = srBranch;
-    state.commitHash = srCommitHash;
-    state.targetBranch = trBranch;
-    state.isInitialized = true;
+  // Optional porting, push and run options
+  [
+    "pathMap",
+    "unmappedPaths",
+    "substitutions",
+    "pushPolicy",
+    "reviewBranchTemplate",
+    "hideApplied",
+    "worktree",
+    "messageTemplate",
+    "trailers",
+    "issueKeys",
+    "editMessage",
+    "hooks",
+    "mergeMode",
+    "mainline",
+    "includePaths",
+    "excludePaths",
+    "selectChanges",
+    "strategies",
+    "mergetool",
+  ]
+    .filter((key) => config[key] !== undefined)
+    .forEach((key) => {
+      state[key] = config[key];
+    });
+}
+
+/**
+ * Write a project '.crcpconfig.json' in the current directory
+ * @param {Object} config - Options to write, checked against the schema
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Overwrite an existing file
+ * @returns {string} - Path of the written file
+ */
+export function initConfigFile(config, { force = false } = {}) {
+  const configFilePath = path.resolve(process.cwd(), ".crcpconfig.json");
+  if (fs.existsSync(configFilePath) && !force) {
+    throw new InputError(
+      `${configFilePath} already exists, pass "--force" to overwrite it.`
+    );
   }
+  validateConfigLayer(config, ".crcpconfig.json");
+  fs.writeFileSync(configFilePath, `${JSON.stringify(config, null, 2)}\n`);
+  return configFilePath;
 }
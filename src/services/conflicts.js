@@ -0,0 +1,247 @@
+import { execSync, spawnSync } from "child_process";
+import fs from "fs";
+import { getCommitParents } from "../utils/commit/index.js";
+import { remapPath } from "../utils/patch/index.js";
+import { CrcpError, InputError } from "../utils/error/index.js";
+import { getWorkDir, resolveWorkPath } from "../utils/worktree/index.js";
+
+// Ways a conflicted file can be resolved, "ours" is the target branch and "theirs" the source commit
+export const RESOLUTIONS = ["ours", "theirs", "mergetool"];
+
+// Unmerged states of 'git status --porcelain' => conflict type and what happened on each side
+const CONFLICT_TYPES = {
+  UU: { type: "content", detail: "changed on both sides" },
+  AA: { type: "add/add", detail: "added on both sides" },
+  UD: {
+    type: "delete/modify",
+    detail: "deleted by the source commit, changed on the target",
+  },
+  DU: {
+    type: "delete/modify",
+    detail: "deleted on the target, changed by the source commit",
+  },
+  UA: { type: "rename", detail: "only the source commit has it at this path" },
+  AU: { type: "rename", detail: "only the target has it at this path" },
+  DD: { type: "rename", detail: "renamed differently on both sides" },
+};
+
+/**
+ * List the unmerged files of the working tree with their unmerged state
+ * @returns {Array<{path: string, state: string}>} - state is a key of CONFLICT_TYPES
+ */
+function getUnmergedFiles() {
+  const fields = execSync("git status --porcelain -z", {
+    encoding: "utf-8",
+    cwd: getWorkDir(),
+  }).split("\0");
+  const files = [];
+  for (let index = 0; index < fields.length; index++) {
+    const field = fields[index];
+    if (!field) continue;
+    const state = field.slice(0, 2);
+    // Renamed and copied entries are followed by their original path
+    if (/[RC]/.test(state)) index++;
+    if (CONFLICT_TYPES[state]) files.push({ path: field.slice(3), state });
+  }
+  return files;
+}
+
+/**
+ * Count the conflict marker blocks left in a working tree file
+ * @param {string} filePath
+ * @returns {number}
+ */
+function countConflictHunks(filePath) {
+  try {
+    return fs
+      .readFileSync(resolveWorkPath(filePath), "utf-8")
+      .split("\n")
+      .filter((line) => line.startsWith("<<<<<<< ")).length;
+  } catch (error) {
+    // Deleted on one side, nothing to count
+    return 0;
+  }
+}
+
+/**
+ * Count the hunks of a '.rej' file
+ * @param {string} rejectFile
+ * @returns {number}
+ */
+function countRejectedHunks(rejectFile) {
+  return fs
+    .readFileSync(resolveWorkPath(rejectFile), "utf-8")
+    .split("\n")
+    .filter((line) => line.startsWith("@@ ")).length;
+}
+
+/**
+ * Describe the change the source commit makes to each of its files
+ * @param {string} commitHash
+ * @param {number} [mainline] - Parent a merge commit is compared with (default 1)
+ * @returns {Array<{status: string, oldPath: string, newPath: string, intent: string}>}
+ */
+function getCommitIntents(commitHash, mainline = 1) {
+  const base = getCommitParents(commitHash)[mainline - 1];
+  const range = base ? [base, commitHash] : ["--root", commitHash];
+  const diffTree = (format) =>
+    execSync(
+      `git diff-tree -r -M -z --no-commit-id ${format} ${range.join(" ")}`,
+      {
+        encoding: "utf-8",
+        maxBuffer: 1024 * 1024 * 64,
+      }
+    )
+      .split("\0")
+      .filter(Boolean);
+
+  // "<added>\t<deleted>\t<path>", or "<added>\t<deleted>\t" then both paths of a rename
+  const lineCounts = new Map();
+  const numstat = diffTree("--numstat");
+  for (let index = 0; index < numstat.length; index++) {
+    const [added, deleted, filePath] = numstat[index].split("\t");
+    const newPath = filePath || numstat[(index += 2)];
+    lineCounts.set(newPath, { added, deleted });
+  }
+
+  const intents = [];
+  const nameStatus = diffTree("--name-status");
+  for (let index = 0; index < nameStatus.length; index++) {
+    const status = nameStatus[index][0];
+    const oldPath = nameStatus[++index];
+    const newPath = /[RC]/.test(status) ? nameStatus[++index] : oldPath;
+    const { added = "-", deleted = "-" } = lineCounts.get(newPath) || {};
+    const lines = added === "-" ? "binary" : `+${added} -${deleted}`;
+    const intent = {
+      A: `adds the file (${lines})`,
+      D: "deletes the file",
+      R: `renames it from ${oldPath}${lines === "+0 -0" ? "" : ` (${lines})`}`,
+      C: `copies it from ${oldPath} (${lines})`,
+    }[status];
+    intents.push({
+      status,
+      oldPath,
+      newPath,
+      intent: intent || `changes it (${lines})`,
+    });
+  }
+  return intents;
+}
+
+/**
+ * Describe each file a pick left conflicted
+ * @param {string} commitHash - Source commit being picked
+ * @param {Object} [options]
+ * @param {number} [options.mainline] - Parent a merge commit is picked against (default 1)
+ * @param {Object<string, string>} [options.pathMap] - Matches the source paths of a port with the target paths
+ * @param {string[]} [options.rejected] - '.rej' files of a port applied without a 3-way merge, see portCommitPatch
+ * @returns {Array<{path: string, type: string, detail: string, hunks: number, intent: string}>}
+ * - type is "content", "add/add", "delete/modify", "rename" or "rejected", "hunks" counts the conflict markers
+ * or the rejected hunks and "intent" tells what the source commit does to the file
+ */
+export function getConflictReport(
+  commitHash,
+  { mainline = 1, pathMap = {}, rejected = [] } = {}
+) {
+  const intents = getCommitIntents(commitHash, mainline);
+  const toTarget = (filePath) =>
+    Object.keys(pathMap).length ? remapPath(filePath, pathMap) : filePath;
+  const findChange = (filePath) =>
+    intents.find(
+      ({ oldPath, newPath }) =>
+        toTarget(newPath) === filePath || toTarget(oldPath) === filePath
+    );
+
+  const unmerged = getUnmergedFiles().map(({ path: filePath, state }) => {
+    const change = findChange(filePath);
+    const { type, detail } = CONFLICT_TYPES[state];
+    return {
+      path: filePath,
+      // git reports a rename the other side conflicts with as an added or deleted path
+      type: change && change.status === "R" ? "rename" : type,
+      detail,
+      hunks: countConflictHunks(filePath),
+      intent: change ? change.intent : "does not touch it",
+    };
+  });
+  const rejectedFiles = rejected
+    .filter((rejectFile) => fs.existsSync(resolveWorkPath(rejectFile)))
+    .map((rejectFile) => {
+      const filePath = rejectFile.replace(/\.rej$/, "");
+      const change = findChange(filePath);
+      return {
+        path: filePath,
+        type: "rejected",
+        detail: `hunks that did not apply are in ${rejectFile}`,
+        hunks: countRejectedHunks(rejectFile),
+        intent: change ? change.intent : "does not touch it",
+      };
+    });
+  return [...unmerged, ...rejectedFiles];
+}
+
+/**
+ * Resolve a conflicted file
+ * "ours" keeps the target version and "theirs" the version of the source commit, deleting the file
+ * when that side deleted it; "mergetool" opens 'git mergetool' on it.
+ * The rejected hunks of a file are applied by hand, "ours" leaves them out by deleting its '.rej' file
+ * @param {string} filePath
+ * @param {string} resolution - See RESOLUTIONS
+ * @param {Object} [options]
+ * @param {string} [options.tool] - Merge tool passed to 'git mergetool --tool', git's "merge.tool" by default
+ * @param {string[]} [options.rejected] - '.rej' files of the pick, see getConflictReport
+ * @returns {boolean} - Whether the file is resolved and staged
+ */
+export function resolveConflictedFile(
+  filePath,
+  resolution,
+  { tool, rejected = [] } = {}
+) {
+  if (!RESOLUTIONS.includes(resolution)) {
+    throw new InputError(
+      `Unknown resolution "${resolution}", use ${RESOLUTIONS.join(", ")}.`
+    );
+  }
+  const rejectFile = `${filePath}.rej`;
+  if (
+    rejected.includes(rejectFile) &&
+    fs.existsSync(resolveWorkPath(rejectFile))
+  ) {
+    if (resolution !== "ours") {
+      throw new InputError(
+        `Apply the hunks of "${rejectFile}" by hand and delete it, or take "ours" to leave them out.`
+      );
+    }
+    fs.rmSync(resolveWorkPath(rejectFile));
+    return true;
+  }
+  if (!getUnmergedFiles().some(({ path: unmerged }) => unmerged === filePath)) {
+    throw new InputError(`"${filePath}" is not conflicted.`);
+  }
+
+  if (resolution === "mergetool") {
+    spawnSync(
+      "git",
+      ["mergetool", ...(tool ? ["--tool", tool] : []), "--", filePath],
+      { stdio: "inherit", cwd: getWorkDir() }
+    );
+  } else {
+    const git = (args) =>
+      spawnSync("git", args, { encoding: "utf-8", cwd: getWorkDir() });
+    // Stage 2 holds the target version, stage 3 the source commit's
+    const stage = resolution === "ours" ? "2" : "3";
+    const kept = git(["ls-files", "-u", "--", filePath])
+      .stdout.split("\n")
+      .some((line) => line.split(/\s+/)[2] === stage);
+    let result = kept
+      ? git(["checkout", `--${resolution}`, "--", filePath])
+      : git(["rm", "-q", "--", filePath]);
+    if (kept && result.status === 0) result = git(["add", "--", filePath]);
+    if (result.status !== 0) {
+      throw new CrcpError(`Failed to resolve "${filePath}". ${result.stderr}`);
+    }
+  }
+  return !getUnmergedFiles().some(
+    ({ path: unmerged }) => unmerged === filePath
+  );
+}
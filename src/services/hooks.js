@@ -0,0 +1,81 @@
+import { spawn } from "child_process";
+import chalk from "chalk";
+import { getWorkDir } from "../utils/worktree/index.js";
+
+// Points of a run where hook commands can run:
+// "prePick" before the first commit is picked, "postPick" once every commit is picked, "prePush" before the push
+export const HOOK_NAMES = ["prePick", "postPick", "prePush"];
+
+// Lines of output kept per hook command in the run summary
+const OUTPUT_LINES = 200;
+
+/**
+ * Run a shell command, streaming its output to stderr while capturing it
+ * @param {string} command
+ * @param {Object<string, string>} env - Added to the environment of the command
+ * @returns {Promise<{exitCode: number, output: string}>} - Combined stdout and stderr
+ */
+function runShellCommand(command, env) {
+  return new Promise((resolve) => {
+    let output = "";
+    const child = spawn(command, {
+      shell: true,
+      cwd: getWorkDir(),
+      env: { ...process.env, ...env },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    const capture = (data) => {
+      process.stderr.write(data);
+      output += data.toString();
+    };
+    child.stdout.on("data", capture);
+    child.stderr.on("data", capture);
+    child.on("error", (error) => {
+      output += error.message;
+    });
+    child.on("close", (code) => {
+      resolve({ exitCode: code === null ? 1 : code, output });
+    });
+  });
+}
+
+/**
+ * Run the commands of a hook in the working tree of the pick, stopping at the first one that fails
+ * Each command gets CRCP_HOOK, CRCP_SOURCE_REPO, CRCP_SOURCE_BRANCH, CRCP_TARGET_BRANCH and CRCP_COMMITS
+ * (the picked source commits, space-separated) in its environment, and is recorded in "session.hooks"
+ * @param {string} name - See HOOK_NAMES
+ * @param {Object} session
+ * @returns {Promise<Object|null>} - The failed command, null when every command passed
+ */
+export async function runHook(name, session) {
+  const { hooks = {} } = session.options;
+  const commands = [].concat(hooks[name] || []);
+  const env = {
+    CRCP_HOOK: name,
+    CRCP_SOURCE_REPO: session.usingRemoteUrl,
+    CRCP_SOURCE_BRANCH: session.sourceBranch,
+    CRCP_TARGET_BRANCH: session.targetBranch,
+    CRCP_COMMITS: session.results
+      .filter(({ status }) => status === "applied")
+      .map(({ hash }) => hash)
+      .join(" "),
+  };
+
+  for (const command of commands) {
+    console.log(chalk.cyan(`Running the ${name} hook: ${command}`));
+    const startedAt = Date.now();
+    const { exitCode, output } = await runShellCommand(command, env);
+    const result = {
+      hook: name,
+      command,
+      exitCode,
+      ok: exitCode === 0,
+      duration: Date.now() - startedAt,
+      // Long test runs only keep their end, where the failures are reported
+      output: output.trimEnd().split("\n").slice(-OUTPUT_LINES).join("\n"),
+    };
+    session.hooks.push(result);
+    if (!result.ok) return result;
+  }
+  return null;
+}
@@ -0,0 +1,312 @@
+import { execSync, spawnSync } from "child_process";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import { getCurrentBranch } from "../utils/branch/index.js";
+import { CrcpError, PushError } from "../utils/error/index.js";
+
+/**
+ * Get the path of the operation journal - '.git/crcp/journal.jsonl'
+ * @returns {string}
+ */
+function getJournalFilePath() {
+  const gitDir = execSync("git rev-parse --git-common-dir", {
+    encoding: "utf-8",
+  }).trim();
+  return path.resolve(gitDir, "crcp", "journal.jsonl");
+}
+
+/**
+ * Read every journal entry, oldest-first
+ * @returns {Array<Object>}
+ */
+export function readJournal() {
+  const journalFilePath = getJournalFilePath();
+  if (!fs.existsSync(journalFilePath)) return [];
+  return fs
+    .readFileSync(journalFilePath, "utf-8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Append an entry to the journal
+ * @param {Object} entry
+ */
+export function appendJournalEntry(entry) {
+  const journalFilePath = getJournalFilePath();
+  fs.mkdirSync(path.dirname(journalFilePath), { recursive: true });
+  fs.appendFileSync(
+    journalFilePath,
+    `${JSON.stringify({ date: new Date().toISOString(), ...entry })}\n`
+  );
+}
+
+/**
+ * Create an identifier grouping the journal entries of one run
+ * @returns {string}
+ */
+export function createRunId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Record where every local branch points
+ * @returns {Object<string, string>} - Ref name => commit hash
+ */
+export function snapshotRefs() {
+  const refs = {};
+  execSync('git for-each-ref --format="%(refname) %(objectname)" refs/heads', {
+    encoding: "utf-8",
+  })
+    .split("\n")
+    .filter(Boolean)
+    .forEach((line) => {
+      const [ref, hash] = line.split(" ");
+      refs[ref] = hash;
+    });
+  return refs;
+}
+
+/**
+ * List the refs that differ between two snapshots
+ * @param {Object<string, string>} before
+ * @param {Object<string, string>} after
+ * @returns {Array<{ref: string, old: string|null, new: string|null}>} - null for a missing ref
+ */
+export function diffRefs(before, after) {
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((ref) => before[ref] !== after[ref])
+    .map((ref) => ({
+      ref,
+      old: before[ref] || null,
+      new: after[ref] || null,
+    }));
+}
+
+/**
+ * Combine the ref changes of several entries into one change per ref
+ * @param {Array<Array<Object>>} changeLists - Ref changes, oldest-first
+ * @returns {Array<Object>} - Oldest "old" and newest "new" value of each ref
+ */
+function mergeRefChanges(changeLists) {
+  const merged = new Map();
+  changeLists.flat().forEach((change) => {
+    const key = `${change.remote || ""} ${change.ref}`;
+    const previous = merged.get(key);
+    merged.set(key, previous ? { ...previous, new: change.new } : change);
+  });
+  return [...merged.values()].filter((change) => change.old !== change.new);
+}
+
+/**
+ * Group the journal entries by run, ignoring undo operations
+ * A run is only "undone" once an undo restored every ref it changed, a partial undo leaves it undoable
+ * @returns {Array<Object>} - One summary per run, oldest-first
+ */
+export function getRunHistory() {
+  const entries = readJournal();
+  const undone = new Set(
+    entries
+      .filter(
+        ({ command, outcome }) => command === "undo" && outcome === "success"
+      )
+      .map(({ undoes }) => undoes)
+  );
+  const runs = new Map();
+  entries
+    .filter(({ command }) => command !== "undo")
+    .forEach((entry) => {
+      const run = runs.get(entry.runId) || {
+        runId: entry.runId,
+        date: entry.date,
+        sourceRepo: entry.sourceRepo,
+        sourceBranch: entry.sourceBranch,
+        targetBranch: entry.targetBranch,
+        steps: [],
+        entries: [],
+      };
+      // The sessions of a fan-out share the run, list its branches as the target was given
+      if (!run.targetBranch.split(",").includes(entry.targetBranch)) {
+        run.targetBranch = `${run.targetBranch},${entry.targetBranch}`;
+      }
+      run.steps.push(entry.command);
+      run.entries.push(entry);
+      run.commits = entry.commits;
+      run.outcome = entry.outcome;
+      runs.set(entry.runId, run);
+    });
+
+  return [...runs.values()].map(({ entries: runEntries, ...run }) => ({
+    ...run,
+    outcome: undone.has(run.runId) ? "undone" : run.outcome,
+    refs: mergeRefChanges(runEntries.map(({ refs = [] }) => refs)),
+    remoteRefs: mergeRefChanges(
+      runEntries.map(({ remoteRefs = [] }) => remoteRefs)
+    ),
+  }));
+}
+
+/**
+ * Move a local branch back, only if it still points where the run left it
+ * @param {{ref: string, old: string|null, new: string|null}} change
+ * @returns {string|null} - Why the branch was left alone, null once restored
+ */
+function restoreLocalRef(change) {
+  const current = snapshotRefs()[change.ref] || null;
+  // Restored by an earlier, partial undo
+  if (current === change.old) return null;
+  if (current !== change.new) {
+    return "it moved after the run";
+  }
+
+  const branchName = change.ref.replace(/^refs\/heads\//, "");
+  if (getCurrentBranch() === branchName) {
+    if (!change.old) return "it is checked out, switch to another branch";
+    // Keep uncommitted changes that do not touch the reset files
+    const { status } = spawnSync("git", ["reset", "--keep", change.old], {
+      stdio: "ignore",
+    });
+    return status === 0 ? null : "the working tree has conflicting changes";
+  }
+
+  const args = change.old
+    ? ["update-ref", change.ref, change.old, change.new || ""]
+    : ["update-ref", "-d", change.ref, change.new];
+  const { status } = spawnSync("git", args, { stdio: "ignore" });
+  return status === 0 ? null : "git update-ref failed";
+}
+
+/**
+ * Move a remote branch back, only if it still points where the run left it
+ * @param {{remote: string, ref: string, old: string|null, new: string|null}} change
+ */
+function restoreRemoteRef(change) {
+  const remoteHead =
+    execSync(`git ls-remote ${change.remote} ${change.ref}`, {
+      encoding: "utf-8",
+    }).split(/\s/)[0] || null;
+  // Restored by an earlier, partial undo
+  if (remoteHead === change.old) return;
+  const lease = `--force-with-lease=${change.ref}:${change.new || ""}`;
+  const refspec = change.old ? `${change.old}:${change.ref}` : `:${change.ref}`;
+  const { status } = spawnSync("git", ["push", lease, change.remote, refspec], {
+    stdio: ["ignore", process.stderr, process.stderr],
+  });
+  if (status !== 0) {
+    throw new PushError(
+      `Failed to restore ${change.remote}/${change.ref.replace(
+        /^refs\/heads\//,
+        ""
+      )}, it moved after the run.`
+    );
+  }
+}
+
+/**
+ * Reset the refs changed by the last run that changed any and was not undone yet
+ * @param {Object} [options]
+ * @param {boolean|function(Array<Object>): Promise<boolean>} [options.remote] - Whether to reset the pushed
+ * branches as well, or a callback receiving the remote changes that decides it (default false)
+ * @returns {Promise<{runId: string, outcome: string, refs: Array<Object>, remoteRefs: Array<Object>,
+ * skipped: Array<Object>}>} - "success" once every ref is restored, "partial" when local refs were left alone
+ * or the pushed branches were not reset, the run can then be undone again; restored local and remote refs,
+ * and the local refs that were left alone
+ */
+export async function undoLastRun({ remote = false } = {}) {
+  const run = getRunHistory()
+    .reverse()
+    .find(
+      ({ outcome, refs, remoteRefs }) =>
+        outcome !== "undone" && (refs.length || remoteRefs.length)
+    );
+  if (!run) {
+    throw new CrcpError("There is no crcp run with changes to undo.");
+  }
+  console.log(
+    `Undoing run ${run.runId} (${run.sourceBranch} -> ${run.targetBranch}, ${run.date})...`
+  );
+
+  const before = snapshotRefs();
+  const skipped = [];
+  run.refs.forEach((change) => {
+    const reason = restoreLocalRef(change);
+    if (reason) {
+      skipped.push({ ...change, reason });
+      console.log(chalk.yellow(`Left ${change.ref} alone: ${reason}.`));
+    } else {
+      console.log(
+        chalk.green(
+          `Restored ${change.ref} to ${
+            change.old ? change.old.slice(0, 8) : "(deleted)"
+          }.`
+        )
+      );
+    }
+  });
+
+  const restoredRemoteRefs = [];
+  let undoError = null;
+  try {
+    if (run.remoteRefs.length) {
+      const resetRemote =
+        typeof remote === "function" ? await remote(run.remoteRefs) : remote;
+      if (resetRemote) {
+        run.remoteRefs.forEach((change) => {
+          restoreRemoteRef(change);
+          restoredRemoteRefs.push({
+            ...change,
+            old: change.new,
+            new: change.old,
+          });
+        });
+      } else {
+        console.log(chalk.yellow("The pushed branches were left as they are."));
+      }
+    }
+  } catch (error) {
+    undoError = error;
+  }
+
+  let outcome = "success";
+  if (undoError) outcome = "failed";
+  else if (
+    skipped.length ||
+    restoredRemoteRefs.length < run.remoteRefs.length
+  ) {
+    outcome = "partial";
+    console.log(
+      chalk.yellow(
+        `Run ${run.runId} is only partly undone, run ${chalk.cyan(
+          "crcp undo"
+        )} again once the branches left alone can be restored.`
+      )
+    );
+  }
+  appendJournalEntry({
+    runId: createRunId(),
+    command: "undo",
+    undoes: run.runId,
+    sourceRepo: run.sourceRepo,
+    sourceBranch: run.sourceBranch,
+    targetBranch: run.targetBranch,
+    outcome,
+    refs: diffRefs(before, snapshotRefs()),
+    remoteRefs: restoredRemoteRefs,
+  });
+  if (undoError) throw undoError;
+
+  return {
+    runId: run.runId,
+    outcome,
+    refs: run.refs.filter(
+      (change) => !skipped.some(({ ref }) => ref === change.ref)
+    ),
+    remoteRefs: run.remoteRefs.filter((change) =>
+      restoredRemoteRefs.some(({ ref }) => ref === change.ref)
+    ),
+    skipped,
+  };
+}
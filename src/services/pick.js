@@ -0,0 +1,520 @@
+import { execSync, spawn, spawnSync } from "child_process";
+import fs from "fs";
+import chalk from "chalk";
+import { getCommitSubject, isMergeCommit } from "../utils/commit/index.js";
+import {
+  getCommitPatch,
+  parsePatch,
+  serializePatch,
+  remapPatchPaths,
+  filterPatchPaths,
+  getFileHunks,
+  keepFileHunks,
+  compileSubstitutions,
+  substitutePatch,
+  applyPatch,
+} from "../utils/patch/index.js";
+import {
+  needsMessageRewrite,
+  renderCommitMessage,
+} from "../utils/message/index.js";
+import { printSubstitutionPreview } from "../utils/common/index.js";
+import { CrcpError } from "../utils/error/index.js";
+import { getWorkDir, resolveWorkPath } from "../utils/worktree/index.js";
+import { DEFAULT_STRATEGIES, parseStrategy } from "./strategies.js";
+
+// Results that stop the run until the user resolves them
+const STOP_STATUSES = ["conflict", "unmapped"];
+
+/**
+ * Check whether the index holds changes that are not committed yet
+ * @returns {boolean}
+ */
+function hasStagedChanges() {
+  try {
+    execSync("git diff --cached --quiet", {
+      stdio: "ignore",
+      cwd: getWorkDir(),
+    });
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Check whether git is in the middle of a cherry-pick
+ * @returns {boolean}
+ */
+function isCherryPickInProgress() {
+  try {
+    execSync("git rev-parse -q --verify CHERRY_PICK_HEAD", {
+      stdio: "ignore",
+      cwd: getWorkDir(),
+    });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the files left unmerged by the last cherry-pick
+ * @returns {string[]} - Conflicted file paths
+ */
+function getConflictedFiles() {
+  const output = execSync("git diff --name-only --diff-filter=U", {
+    encoding: "utf-8",
+    cwd: getWorkDir(),
+  }).trim();
+  return output ? output.split("\n") : [];
+}
+
+/**
+ * Execute cherry pick
+ * @param {string} commitHash
+ * @param {Object} [options]
+ * @param {number} [options.mainline] - Parent a merge commit is picked against (default 1)
+ * @param {string[]} [options.strategyArgs] - Extra 'git cherry-pick' arguments, see parseStrategy
+ * @returns {Promise<{hash: string, status: string, stderr?: string}>} - status is "applied", "empty" or "conflict"
+ */
+function cherryPickAndHandleConflicts(
+  commitHash,
+  { mainline = 1, strategyArgs = [] } = {}
+) {
+  console.log(chalk.greenBright(`Cherry-picking commit ${commitHash}...`));
+  const mainlineArgs = isMergeCommit(commitHash) ? ["-m", `${mainline}`] : [];
+  return new Promise((resolve, reject) => {
+    try {
+      const gitProcess = spawn(
+        "git",
+        ["cherry-pick", ...mainlineArgs, ...strategyArgs, commitHash],
+        { cwd: getWorkDir() }
+      );
+      let stdout = "";
+      let stderr = "";
+      gitProcess.stdout.on("data", (data) => {
+        stdout += data.toString();
+      });
+
+      // Capture data from the standard error stream
+      gitProcess.stderr.on("data", (data) => {
+        stderr += data.toString();
+      });
+
+      // Listen for command execution completion events
+      gitProcess.on("close", (code) => {
+        if (code === 0) {
+          console.log(`[stdout] ${stdout}`);
+          console.log(chalk.greenBright("Cherry-pick successful"));
+          resolve({ hash: commitHash, status: "applied" });
+          return;
+        }
+
+        // An empty pick stops without conflicts, drop it and move on
+        if (getConflictedFiles().length === 0 && /empty/i.test(stderr)) {
+          execSync("git cherry-pick --skip", {
+            stdio: "ignore",
+            cwd: getWorkDir(),
+          });
+          console.log(
+            chalk.yellow("Commit is already present on the target, skipped.")
+          );
+          resolve({ hash: commitHash, status: "empty" });
+          return;
+        }
+
+        resolve({ hash: commitHash, status: "conflict", stderr });
+      });
+
+      gitProcess.on("error", (error) => {
+        reject(error);
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Apply the patch of a commit with 'git apply --3way', keeping its author and message
+ * @param {string} commitHash
+ * @param {Object} [options]
+ * @param {number} [options.mainline] - Parent a merge commit is diffed against (default 1)
+ * @returns {{hash: string, status: string, stderr?: string}} - status is "applied", "empty" or "conflict"
+ */
+function applyCommitPatch(commitHash, { mainline = 1 } = {}) {
+  console.log(chalk.greenBright(`Applying the patch of ${commitHash}...`));
+  const { ok, stderr } = applyPatch(
+    getCommitPatch(commitHash, isMergeCommit(commitHash) ? mainline : undefined)
+  );
+  if (!ok) return { hash: commitHash, status: "conflict", stderr };
+  if (!hasStagedChanges()) {
+    console.log(
+      chalk.yellow("Commit is already present on the target, skipped.")
+    );
+    return { hash: commitHash, status: "empty" };
+  }
+  execSync(`git commit --no-verify -C ${commitHash}`, {
+    stdio: "ignore",
+    cwd: getWorkDir(),
+  });
+  console.log(chalk.greenBright("Patch applied"));
+  return { hash: commitHash, status: "applied" };
+}
+
+/**
+ * Describe why a strategy could not pick a commit
+ * @param {string} [stderr] - Output of the failed git command
+ * @returns {string}
+ */
+function getFailureReason(stderr = "") {
+  const conflictedFiles = getConflictedFiles();
+  if (conflictedFiles.length) {
+    return `conflicts in ${conflictedFiles.join(", ")}`;
+  }
+  const lines = stderr
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const error = lines.find((line) => /^(error|fatal):/.test(line)) || lines[0];
+  return error ? error.replace(/^(error|fatal):\s*/, "") : "failed";
+}
+
+/**
+ * Undo a failed attempt so that the next strategy starts from a clean tree
+ * Local changes the attempt did not touch are kept
+ */
+function cleanUpAttempt() {
+  if (isCherryPickInProgress()) {
+    execSync("git cherry-pick --abort", { stdio: "ignore", cwd: getWorkDir() });
+  } else {
+    execSync("git reset -q --merge", { stdio: "ignore", cwd: getWorkDir() });
+  }
+}
+
+/**
+ * Pick a commit with each strategy of the chain in turn, until one of them applies it
+ * When every strategy fails, the conflicts of the last one are left to resolve
+ * @param {string} commitHash
+ * @param {Object} [options]
+ * @param {string[]} [options.strategies] - Fallback chain, see parseStrategy (default ["pick"])
+ * @param {number} [options.mainline] - Parent a merge commit is picked against (default 1)
+ * @returns {Promise<{hash: string, status: string, strategy?: string,
+ * attempts: Array<{strategy: string, status: string, reason?: string}>}>}
+ * - "strategy" is the one that picked the commit, "attempts" tells why the others failed
+ */
+async function pickWithStrategies(commitHash, options = {}) {
+  const { strategies: chain = [] } = options;
+  const strategies = chain.length ? chain : DEFAULT_STRATEGIES;
+  const attempts = [];
+  for (const [index, spec] of strategies.entries()) {
+    const { name, apply, args } = parseStrategy(spec);
+    if (index > 0) {
+      console.log(chalk.cyan(`Trying the "${name}" strategy...`));
+    }
+    const { status, stderr } = apply
+      ? applyCommitPatch(commitHash, options)
+      : await cherryPickAndHandleConflicts(commitHash, {
+          ...options,
+          strategyArgs: args,
+        });
+    if (status !== "conflict") {
+      attempts.push({ strategy: name, status });
+      return { hash: commitHash, status, strategy: name, attempts };
+    }
+
+    const reason = getFailureReason(stderr);
+    attempts.push({ strategy: name, status, reason });
+    if (strategies.length > 1) {
+      console.log(chalk.yellow(`The "${name}" strategy failed: ${reason}`));
+    }
+    if (index < strategies.length - 1) cleanUpAttempt();
+  }
+  return { hash: commitHash, status: "conflict", attempts };
+}
+
+/**
+ * Check whether commits have to be rewritten before they are applied
+ * @param {Object} options
+ * @returns {boolean}
+ */
+function needsPatchPort({
+  pathMap = {},
+  substitutions = [],
+  includePaths = [],
+  excludePaths = [],
+  selectChanges,
+}) {
+  return (
+    Object.keys(pathMap).length > 0 ||
+    substitutions.length > 0 ||
+    includePaths.length > 0 ||
+    excludePaths.length > 0 ||
+    Boolean(selectChanges)
+  );
+}
+
+/**
+ * Rewrite the patch of a commit for the target repository
+ * @param {string} commitHash
+ * @param {Object} options
+ * @param {Object<string, string>} [options.pathMap] - Source path prefix => target path prefix
+ * @param {Array<Object>} [options.substitutions] - Replacement rules, see compileSubstitutions
+ * @param {number} [options.mainline] - Parent a merge commit is diffed against (default 1)
+ * @param {string[]} [options.includePaths] - Only port the source files matching these globs
+ * @param {string[]} [options.excludePaths] - Leave the source files matching these globs out
+ * @returns {{files: Array<Object>, unmapped: string[], changes: Array<Object>, excluded: string[]}}
+ * - Rewritten file sections, paths outside the map, the substituted lines and the source paths left out
+ */
+function buildPortPatch(commitHash, options) {
+  const {
+    pathMap = {},
+    substitutions = [],
+    mainline = 1,
+    includePaths = [],
+    excludePaths = [],
+  } = options;
+  let files = parsePatch(
+    getCommitPatch(commitHash, isMergeCommit(commitHash) ? mainline : undefined)
+  );
+  let unmapped = [];
+  let changes = [];
+  let excluded = [];
+
+  // Filtered on the source paths, before they are mapped
+  if (includePaths.length || excludePaths.length) {
+    ({ files, excluded } = filterPatchPaths(files, {
+      includePaths,
+      excludePaths,
+    }));
+  }
+  if (Object.keys(pathMap).length) {
+    ({ files, unmapped } = remapPatchPaths(files, pathMap));
+  }
+  if (substitutions.length) {
+    ({ files, changes } = substitutePatch(
+      files,
+      compileSubstitutions(substitutions)
+    ));
+  }
+  return { files, unmapped, changes, excluded };
+}
+
+/**
+ * Let the user choose the files and hunks of a patch to port
+ * @param {string} commitHash
+ * @param {Array<Object>} files - File sections of the patch
+ * @param {function(string, Array<{path: string, hunks: string[]}>): Promise<Object<string, number[]>>} selectChanges
+ * - Receives the source hash and the files with their hunks, resolves to path => indexes of the hunks to keep;
+ * files missing from the result are left out, files without hunks (binary, mode changes) are kept whole
+ * @returns {Promise<{files: Array<Object>, leftOut: string[]}>}
+ */
+async function selectPatchChanges(commitHash, files, selectChanges) {
+  const choices = files.map((file) => ({
+    path: file.newPath || file.oldPath,
+    hunks: getFileHunks(file).map((hunk) => hunk.join("\n")),
+  }));
+  const selection = (await selectChanges(commitHash, choices)) || {};
+  const kept = [];
+  const leftOut = [];
+  files.forEach((file, index) => {
+    const { path: filePath, hunks } = choices[index];
+    const keptHunks = selection[filePath];
+    if (!keptHunks || (hunks.length && !keptHunks.length)) {
+      leftOut.push(filePath);
+    } else if (!hunks.length || keptHunks.length === hunks.length) {
+      kept.push(file);
+    } else {
+      kept.push(keepFileHunks(file, keptHunks));
+      leftOut.push(
+        `${filePath} (${hunks.length - keptHunks.length} of ${
+          hunks.length
+        } hunks)`
+      );
+    }
+  });
+  return { files: kept, leftOut };
+}
+
+/**
+ * Port a commit by rewriting its patch before applying it
+ * Used instead of 'git cherry-pick' when the repositories differ in layout or identifiers
+ * @param {string} commitHash
+ * @param {Object} options - See buildPortPatch
+ * @param {string} [options.unmappedPaths] - "report" (default) stops on files outside the map, "drop" leaves them out
+ * @param {function} [options.selectChanges] - Chooses the files and hunks to port, see selectPatchChanges
+ * @returns {Promise<{hash: string, status: string, leftOut?: string[], rejected?: string[]}>} - status is
+ * "applied", "empty", "conflict" or "unmapped", "leftOut" lists the changes a partial port left behind
+ * and "rejected" the '.rej' files holding the hunks that did not apply
+ */
+async function portCommitPatch(commitHash, options) {
+  console.log(chalk.greenBright(`Porting commit ${commitHash}...`));
+  const { unmappedPaths = "report", selectChanges } = options;
+  const port = buildPortPatch(commitHash, options);
+  const { unmapped, changes } = port;
+  let { files } = port;
+  const leftOut = [...port.excluded];
+
+  if (unmapped.length) {
+    const dropped = unmappedPaths === "drop";
+    console.log(
+      (dropped ? chalk.yellow : chalk.red)(
+        `${dropped ? "Dropped" : "Found"} ${
+          unmapped.length
+        } file(s) outside the path map:`
+      )
+    );
+    unmapped.forEach((filePath) => console.log(chalk.gray(`  ${filePath}`)));
+    if (!dropped) {
+      return { hash: commitHash, status: "unmapped" };
+    }
+  }
+  printSubstitutionPreview(changes);
+
+  if (selectChanges && files.length) {
+    const selected = await selectPatchChanges(commitHash, files, selectChanges);
+    files = selected.files;
+    leftOut.push(...selected.leftOut);
+  }
+  if (leftOut.length) {
+    console.log(chalk.yellow(`Left out ${leftOut.length} change(s):`));
+    leftOut.forEach((change) => console.log(chalk.gray(`  ${change}`)));
+  }
+  // Kept on the result so 'crcp continue' still notes the partial port after a conflict
+  const partial = leftOut.length ? { leftOut } : {};
+
+  if (files.length) {
+    // Substituted context and removed lines no longer match the source blobs a 3-way merge starts from
+    const threeWay = !changes.some(({ before }) => !before.startsWith("+"));
+    const { ok, stderr } = applyPatch(serializePatch(files), { threeWay });
+    if (!ok) {
+      console.error(`[stderr] ${stderr}`);
+      if (!threeWay) {
+        console.log(
+          chalk.yellow(
+            "The substitutions rewrote context lines, so no 3-way merge was tried: the hunks that did not apply are in the '.rej' files."
+          )
+        );
+      }
+      // There are no unmerged files to resolve, the '.rej' files are the conflict
+      const rejected = files
+        .map((file) => `${file.newPath || file.oldPath}.rej`)
+        .filter((rejectFile) => fs.existsSync(resolveWorkPath(rejectFile)));
+      return {
+        hash: commitHash,
+        status: "conflict",
+        ...(rejected.length && { rejected }),
+        ...partial,
+      };
+    }
+  }
+
+  if (!hasStagedChanges()) {
+    console.log(
+      chalk.yellow("Commit is already present on the target, skipped.")
+    );
+    return { hash: commitHash, status: "empty" };
+  }
+
+  // Keep the author and message of the source commit
+  execSync(`git commit --no-verify -C ${commitHash}`, {
+    stdio: "ignore",
+    cwd: getWorkDir(),
+  });
+  console.log(chalk.greenBright("Port successful"));
+  return { hash: commitHash, status: "applied", ...partial };
+}
+
+/**
+ * Give the commit just picked its final message
+ * @param {string} commitHash - Source commit
+ * @param {Object} options - See renderCommitMessage
+ * @param {function(string, string): Promise<string>} [options.editMessage] - Receives the rendered message
+ * and the source hash, resolves to the message to commit
+ */
+async function rewritePickedMessage(commitHash, options) {
+  const { editMessage } = options;
+  if (!needsMessageRewrite(options) && !editMessage) return;
+
+  let message = renderCommitMessage(commitHash, options);
+  if (editMessage) {
+    const edited = await editMessage(message, commitHash);
+    // An emptied message keeps the rendered one
+    if (edited && edited.trim()) message = edited;
+  }
+  const { status, stderr } = spawnSync(
+    "git",
+    ["commit", "--amend", "--no-verify", "--cleanup=whitespace", "-F", "-"],
+    { input: message, encoding: "utf-8", cwd: getWorkDir() }
+  );
+  if (status !== 0) {
+    throw new CrcpError(`Failed to rewrite the commit message. ${stderr}`);
+  }
+}
+
+/**
+ * Apply one commit, choosing between a plain cherry-pick and a rewritten patch
+ * @param {string} commitHash
+ * @param {Object} [options]
+ * @returns {Promise<{hash: string, status: string, leftOut?: string[], rejected?: string[],
+ * strategy?: string, attempts?: Array<Object>}>} - See portCommitPatch and pickWithStrategies
+ */
+async function pickCommit(commitHash, options = {}) {
+  const result = needsPatchPort(options)
+    ? await portCommitPatch(commitHash, options)
+    : await pickWithStrategies(commitHash, options);
+  if (result.status === "applied") {
+    await rewritePickedMessage(commitHash, {
+      ...options,
+      leftOut: result.leftOut,
+    });
+  }
+  return result;
+}
+
+/**
+ * Cherry-pick a list of commits in order, stopping at the first conflict
+ * @param {string[]} commits - Full commit hashes, oldest-first
+ * @param {Object} [options] - Porting options, see portCommitPatch
+ * @returns {Promise<Array<{hash: string, subject: string, status: string, leftOut?: string[],
+ * rejected?: string[], strategy?: string, attempts?: Array<Object>}>>} - One result per commit, commits after a conflict are
+ * reported as "pending"; "strategy" and "attempts" are only kept when a fallback strategy was tried
+ */
+async function cherryPickCommits(commits, options = {}) {
+  const results = [];
+  let stopped = false;
+  for (const hash of commits) {
+    const subject = getCommitSubject(hash);
+    if (stopped) {
+      results.push({ hash, subject, status: "pending" });
+      continue;
+    }
+    const { status, leftOut, rejected, strategy, attempts } = await pickCommit(
+      hash,
+      options
+    );
+    results.push({
+      hash,
+      subject,
+      status,
+      ...(leftOut && { leftOut }),
+      ...(rejected && { rejected }),
+      ...(attempts && attempts.length > 1 && { strategy, attempts }),
+    });
+    stopped = STOP_STATUSES.includes(status);
+  }
+  return results;
+}
+
+export {
+  needsPatchPort,
+  rewritePickedMessage,
+  buildPortPatch,
+  cherryPickAndHandleConflicts,
+  cherryPickCommits,
+  getConflictedFiles,
+  hasStagedChanges,
+  isCherryPickInProgress,
+  STOP_STATUSES,
+};
@@ -0,0 +1,152 @@
+import { execSync } from "child_process";
+import { PushError } from "../utils/error/index.js";
+
+// Supported push policies, the first one is the default
+export const PUSH_POLICIES = ["ff-only", "force-with-lease", "review-branch"];
+
+export const DEFAULT_REVIEW_BRANCH_TEMPLATE = "crcp/{target}-{commit}";
+
+/**
+ * Get the commit a branch points to on a remote
+ * @param {string} branch
+ * @param {string} [remote] - Defaults to origin
+ * @returns {string|null} - Commit hash, null if the branch does not exist on the remote
+ */
+export function getRemoteHead(branch, remote = "origin") {
+  try {
+    const output = execSync(`git ls-remote ${remote} refs/heads/${branch}`, {
+      encoding: "utf-8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+    return output ? output.split(/\s+/)[0] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fill in the review branch template
+ * Placeholders: {source}, {sourceBranch}, {target}, {commit} (last picked commit) and {date}
+ * @param {string} template
+ * @param {Object} session
+ * @returns {string}
+ */
+function renderReviewBranch(template, session) {
+  const lastCommit = [...session.results]
+    .reverse()
+    .find(({ status }) => status === "applied");
+  const values = {
+    source: session.usingRemoteName,
+    sourceBranch: session.sourceBranch,
+    target: session.targetBranch,
+    commit: lastCommit ? lastCommit.hash.slice(0, 8) : "none",
+    date: new Date().toISOString().slice(0, 10).replace(/-/g, ""),
+  };
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    key in values ? values[key] : match
+  );
+}
+
+/**
+ * Count the commits only on the local and only on the remote side
+ * @param {string} localHead
+ * @param {string} remoteHead
+ * @returns {{ahead: number, behind: number}}
+ */
+function countDivergence(localHead, remoteHead) {
+  const [behind, ahead] = execSync(
+    `git rev-list --left-right --count ${remoteHead}...${localHead}`,
+    { encoding: "utf-8" }
+  )
+    .trim()
+    .split(/\s+/)
+    .map(Number);
+  return { ahead, behind };
+}
+
+/**
+ * Work out what a push of the target branch would do under the session's policy
+ * The target branch goes to the branch of the same name on origin unless the session sets "pushTo"
+ * @param {Object} session
+ * @returns {Object} - Push report: remote, destination, heads, divergence and whether the push is allowed
+ */
+export function inspectPush(session) {
+  const {
+    targetBranch,
+    remoteHead: expectedRemoteHead = null,
+    options = {},
+  } = session;
+  const { remote = "origin", branch = targetBranch } = session.pushTo || {};
+  const {
+    pushPolicy = PUSH_POLICIES[0],
+    reviewBranchTemplate = DEFAULT_REVIEW_BRANCH_TEMPLATE,
+  } = options;
+  const localHead = execSync(`git rev-parse refs/heads/${targetBranch}`, {
+    encoding: "utf-8",
+  }).trim();
+  const destination =
+    pushPolicy === "review-branch"
+      ? renderReviewBranch(reviewBranchTemplate, session)
+      : branch;
+  const remoteHead = getRemoteHead(destination, remote);
+
+  const report = {
+    policy: pushPolicy,
+    remote,
+    source: targetBranch,
+    destination,
+    localHead,
+    remoteHead,
+    expectedRemoteHead,
+    ahead: 0,
+    behind: 0,
+    allowed: true,
+    reason: "",
+  };
+
+  if (remoteHead) {
+    // Make the remote commit available to measure the divergence
+    execSync(`git fetch ${remote} ${destination}`, { stdio: "ignore" });
+    Object.assign(report, countDivergence(localHead, remoteHead));
+  }
+
+  if (pushPolicy === "ff-only" && report.behind > 0) {
+    report.allowed = false;
+    report.reason = `${remote}/${destination} has ${report.behind} commit(s) that are not on ${targetBranch}, a fast-forward push is not possible.`;
+  }
+  if (pushPolicy === "force-with-lease" && remoteHead !== expectedRemoteHead) {
+    report.allowed = false;
+    report.reason = `${remote}/${destination} moved since the run started (expected ${
+      expectedRemoteHead || "no branch"
+    }, found ${remoteHead || "no branch"}).`;
+  }
+  if (pushPolicy === "review-branch" && remoteHead) {
+    report.allowed = false;
+    report.reason = `The review branch ${remote}/${destination} already exists.`;
+  }
+  return report;
+}
+
+/**
+ * Push the target branch according to an allowed push report
+ * @param {Object} report - Result of inspectPush
+ * @returns {string} - The pushed remote ref
+ */
+export function pushTarget(report) {
+  const { policy, remote, source, destination, expectedRemoteHead } = report;
+  const lease =
+    policy === "force-with-lease"
+      ? `--force-with-lease=refs/heads/${destination}:${
+          expectedRemoteHead || ""
+        } `
+      : "";
+  try {
+    execSync(
+      `git push ${lease}${remote} refs/heads/${source}:refs/heads/${destination}`,
+      { stdio: ["ignore", process.stderr, process.stderr] }
+    );
+  } catch (error) {
+    throw new PushError(`Push to ${remote}/${destination} was rejected.`);
+  }
+  return `${remote}/${destination}`;
+}
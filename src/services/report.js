@@ -0,0 +1,321 @@
+import { spawnSync } from "child_process";
+import { getOriginHashes } from "../utils/commit/index.js";
+import { FetchError, InputError } from "../utils/error/index.js";
+
+// Formats renderDivergenceReport renders, the CLI prints its "table" with printDivergenceReport instead
+export const REPORT_FORMATS = ["markdown", "json", "html"];
+
+/**
+ * Run a read-only git command
+ * @param {string[]} args
+ * @param {string} [input] - Written to the standard input
+ * @returns {string} - Standard output
+ */
+function readGit(args, input) {
+  const { status, stdout, stderr } = spawnSync("git", args, {
+    input,
+    encoding: "utf-8",
+    maxBuffer: 1024 * 1024 * 256,
+  });
+  if (status !== 0) {
+    throw new FetchError(`Failed to compare the branches. ${stderr}`);
+  }
+  return stdout;
+}
+
+/**
+ * Read the non-merge commits of a range, newest-first
+ * @param {string} range - e.g. "develop..upstream/main"
+ * @param {string[]} paths - Path globs, every commit when empty
+ * @returns {Array<{hash: string, shortHash: string, date: string, author: string, subject: string, message: string}>}
+ */
+function readRangeCommits(range, paths) {
+  const pathspecs = paths.length
+    ? ["--", ...paths.map((pattern) => `:(glob)${pattern}`)]
+    : [];
+  // NUL separates the fields and, with '-z', the commits: no commit message can contain it
+  const fields = readGit([
+    "log",
+    "-z",
+    "--no-merges",
+    "--date=short",
+    "--format=%H%x00%h%x00%ad%x00%an%x00%s%x00%B",
+    range,
+    ...pathspecs,
+  ]).split("\0");
+  const commits = [];
+  for (let index = 0; index + 5 < fields.length; index += 6) {
+    const [hash, shortHash, date, author, subject, message] = fields.slice(
+      index,
+      index + 6
+    );
+    commits.push({
+      hash,
+      shortHash,
+      date,
+      author,
+      subject,
+      message: message.trim(),
+    });
+  }
+  return commits;
+}
+
+/**
+ * Get the patch-id of each commit, commits with the same changes share it
+ * @param {string[]} hashes
+ * @returns {Map<string, string>} - Commit hash => patch-id, empty commits are left out
+ */
+function getPatchIds(hashes) {
+  const patchIds = new Map();
+  if (!hashes.length) return patchIds;
+  const patches = readGit(
+    ["log", "-p", "--no-walk=unsorted", "--stdin", "--format=commit %H"],
+    hashes.join("\n")
+  );
+  readGit(["patch-id", "--stable"], patches)
+    .split("\n")
+    .filter(Boolean)
+    .forEach((line) => {
+      const [patchId, hash] = line.split(" ");
+      patchIds.set(hash, patchId);
+    });
+  return patchIds;
+}
+
+/**
+ * Compare a source branch with a target branch commit by commit
+ * A commit is in both when the other side has a commit with the same patch-id, or a commit whose
+ * "Cherry-picked-from:" / "(cherry picked from commit …)" trailer refers to it
+ * @param {string} sourceRef - e.g. "upstream/main"
+ * @param {string} targetRef - e.g. "refs/heads/develop"
+ * @param {string[]} [paths] - Only compare the commits touching these globs, e.g. "src/**\/*.js"
+ * @returns {{sourceRef: string, targetRef: string, paths: string[], date: string, onlySource: Array<Object>,
+ * onlyTarget: Array<Object>, both: Array<{source: Object, target: Object, matchedBy: string}>}}
+ * - Commits newest-first, "matchedBy" is "patch-id" or "trailer"
+ */
+export function buildDivergenceReport(sourceRef, targetRef, paths = []) {
+  const sourceCommits = readRangeCommits(`${targetRef}..${sourceRef}`, paths);
+  const targetCommits = readRangeCommits(`${sourceRef}..${targetRef}`, paths);
+  const patchIds = getPatchIds(
+    [...sourceCommits, ...targetCommits].map(({ hash }) => hash)
+  );
+
+  const matches = new Map();
+  const matchedTargets = new Set();
+  const match = (source, target, matchedBy) => {
+    if (matches.has(source.hash) || matchedTargets.has(target.hash)) return;
+    matches.set(source.hash, { target, matchedBy });
+    matchedTargets.add(target.hash);
+  };
+  const refersTo = (commit, other) =>
+    getOriginHashes(commit.message).some((origin) =>
+      other.hash.startsWith(origin)
+    );
+
+  sourceCommits.forEach((source) => {
+    const patchId = patchIds.get(source.hash);
+    const samePatch = targetCommits.find(
+      (target) =>
+        !matchedTargets.has(target.hash) &&
+        patchId &&
+        patchIds.get(target.hash) === patchId
+    );
+    if (samePatch) match(source, samePatch, "patch-id");
+  });
+  // Ports with changes, picked either way
+  sourceCommits.forEach((source) => {
+    const port = targetCommits.find(
+      (target) =>
+        !matchedTargets.has(target.hash) &&
+        (refersTo(target, source) || refersTo(source, target))
+    );
+    if (port) match(source, port, "trailer");
+  });
+
+  const withoutMessage = ({ message, ...commit }) => commit;
+  return {
+    sourceRef,
+    // "develop" rather than "refs/heads/develop", the current branch rather than "HEAD"
+    targetRef: readGit(["rev-parse", "--abbrev-ref", targetRef]).trim(),
+    paths,
+    date: new Date().toISOString(),
+    onlySource: sourceCommits
+      .filter(({ hash }) => !matches.has(hash))
+      .map(withoutMessage),
+    onlyTarget: targetCommits
+      .filter(({ hash }) => !matchedTargets.has(hash))
+      .map(withoutMessage),
+    both: sourceCommits
+      .filter(({ hash }) => matches.has(hash))
+      .map((source) => ({
+        source: withoutMessage(source),
+        target: withoutMessage(matches.get(source.hash).target),
+        matchedBy: matches.get(source.hash).matchedBy,
+      })),
+  };
+}
+
+/**
+ * Escape the characters HTML gives a meaning to
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (character) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[character])
+  );
+}
+
+/**
+ * Get the sections of a report as rows, shared by the Markdown and HTML output
+ * @param {Object} report - See buildDivergenceReport
+ * @returns {Array<{title: string, header: string[], rows: string[][]}>}
+ */
+function getReportSections(report) {
+  const commitRow = ({ shortHash, date, author, subject }) => [
+    shortHash,
+    date,
+    author,
+    subject,
+  ];
+  return [
+    {
+      title: `Only in source (${report.onlySource.length})`,
+      header: ["Commit", "Date", "Author", "Subject"],
+      rows: report.onlySource.map(commitRow),
+    },
+    {
+      title: `Only in target (${report.onlyTarget.length})`,
+      header: ["Commit", "Date", "Author", "Subject"],
+      rows: report.onlyTarget.map(commitRow),
+    },
+    {
+      title: `In both (${report.both.length})`,
+      header: ["Source", "Target", "Matched by", "Subject"],
+      rows: report.both.map(({ source, target, matchedBy }) => [
+        source.shortHash,
+        target.shortHash,
+        matchedBy,
+        source.subject,
+      ]),
+    },
+  ];
+}
+
+/**
+ * Render a report as Markdown
+ * @param {Object} report - See buildDivergenceReport
+ * @returns {string}
+ */
+function renderMarkdown(report) {
+  const cell = (value) => String(value).replace(/\|/g, "\\|");
+  const lines = [
+    `# Divergence report: ${report.sourceRef} / ${report.targetRef}`,
+    "",
+    `- Source: \`${report.sourceRef}\``,
+    `- Target: \`${report.targetRef}\``,
+  ];
+  if (report.paths.length) {
+    lines.push(
+      `- Paths: ${report.paths.map((pattern) => `\`${pattern}\``).join(", ")}`
+    );
+  }
+  lines.push(`- Date: ${report.date}`);
+  getReportSections(report).forEach(({ title, header, rows }) => {
+    lines.push("", `## ${title}`, "");
+    if (!rows.length) {
+      lines.push("None.");
+      return;
+    }
+    lines.push(
+      `| ${header.join(" | ")} |`,
+      `| ${header.map(() => "---").join(" | ")} |`,
+      ...rows.map((row) => `| ${row.map(cell).join(" | ")} |`)
+    );
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Render a report as a standalone HTML page
+ * @param {Object} report - See buildDivergenceReport
+ * @returns {string}
+ */
+function renderHtml(report) {
+  const title = `Divergence report: ${report.sourceRef} / ${report.targetRef}`;
+  const details = [
+    ["Source", report.sourceRef],
+    ["Target", report.targetRef],
+    ...(report.paths.length ? [["Paths", report.paths.join(", ")]] : []),
+    ["Date", report.date],
+  ];
+  const sections = getReportSections(report).map(
+    ({ title: sectionTitle, header, rows }) => `<h2>${escapeHtml(
+      sectionTitle
+    )}</h2>
+${
+  rows.length
+    ? `<table>
+<tr>${header.map((name) => `<th>${escapeHtml(name)}</th>`).join("")}</tr>
+${rows
+  .map(
+    (row) =>
+      `<tr>${row.map((value) => `<td>${escapeHtml(value)}</td>`).join("")}</tr>`
+  )
+  .join("\n")}
+</table>`
+    : "<p>None.</p>"
+}`
+  );
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em; color: #24292f; }
+table { border-collapse: collapse; margin-bottom: 1em; }
+th, td { border: 1px solid #d0d7de; padding: 4px 10px; text-align: left; }
+th { background: #f6f8fa; }
+td:first-child, td:nth-child(2) { font-family: monospace; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<ul>
+${details
+  .map(
+    ([name, value]) =>
+      `<li><strong>${escapeHtml(name)}:</strong> ${escapeHtml(value)}</li>`
+  )
+  .join("\n")}
+</ul>
+${sections.join("\n")}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a report as text
+ * @param {Object} report - See buildDivergenceReport
+ * @param {string} format - "markdown", "json" or "html"
+ * @returns {string}
+ */
+export function renderDivergenceReport(report, format) {
+  if (format === "markdown") return renderMarkdown(report);
+  if (format === "html") return renderHtml(report);
+  if (format === "json") return `${JSON.stringify(report, null, 2)}\n`;
+  throw new InputError(
+    `Unknown report format "${format}", use "markdown", "json" or "html".`
+  );
+}
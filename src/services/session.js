@@ -0,0 +1,903 @@
+import { execSync, spawnSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import {
+  printPickSummary,
+  printPushReport,
+  printHookSummary,
+  printConflictReport,
+} from "../utils/common/index.js";
+import {
+  createTemporaryBranch,
+  deleteTemporaryBranch,
+  getCurrentBranch,
+  resolveTargetRef,
+  switchTargetBranch,
+  detachAtTargetBranch,
+  moveBranch,
+} from "../utils/branch/index.js";
+import { getCommitSubject } from "../utils/commit/index.js";
+import {
+  createWorktree,
+  enterWorktree,
+  leaveWorktree,
+  removeWorktree,
+  getActiveWorktree,
+  getWorkDir,
+  resolveWorkPath,
+} from "../utils/worktree/index.js";
+import {
+  CrcpError,
+  ConflictError,
+  PushError,
+  HookError,
+} from "../utils/error/index.js";
+import {
+  cherryPickCommits,
+  getConflictedFiles,
+  hasStagedChanges,
+  isCherryPickInProgress,
+  rewritePickedMessage,
+  STOP_STATUSES,
+} from "./pick.js";
+import { getRemoteHead, inspectPush, pushTarget } from "./push.js";
+import {
+  appendJournalEntry,
+  createRunId,
+  snapshotRefs,
+  diffRefs,
+} from "./journal.js";
+import { advanceSyncWatermark } from "./sync.js";
+import { runHook } from "./hooks.js";
+import { getConflictReport, resolveConflictedFile } from "./conflicts.js";
+
+/**
+ * Get the path of the saved session file - '.git/crcp/session.json'
+ * @returns {string}
+ */
+function getSessionFilePath() {
+  const gitDir = execSync("git rev-parse --git-common-dir", {
+    encoding: "utf-8",
+  }).trim();
+  return path.resolve(gitDir, "crcp", "session.json");
+}
+
+/**
+ * Load the saved session
+ * @returns {Object|null} - Session state, null if no session is in progress
+ */
+export function loadSession() {
+  const sessionFilePath = getSessionFilePath();
+  if (!fs.existsSync(sessionFilePath)) return null;
+  return JSON.parse(fs.readFileSync(sessionFilePath, "utf-8"));
+}
+
+/**
+ * Save the session so that it can be resumed after resolving conflicts
+ * @param {Object} session
+ */
+export function saveSession(session) {
+  const sessionFilePath = getSessionFilePath();
+  fs.mkdirSync(path.dirname(sessionFilePath), { recursive: true });
+  fs.writeFileSync(sessionFilePath, JSON.stringify(session, null, 2));
+}
+
+/**
+ * Remove the saved session
+ */
+export function clearSession() {
+  fs.rmSync(getSessionFilePath(), { force: true });
+}
+
+/**
+ * Get the commit hash HEAD points to, in the session's worktree when it has one
+ * @returns {string}
+ */
+function getHead() {
+  return execSync("git rev-parse HEAD", {
+    encoding: "utf-8",
+    cwd: getWorkDir(),
+  }).trim();
+}
+
+/**
+ * Load the saved session or fail when there is nothing to resume
+ * @returns {Object}
+ */
+function requireSession() {
+  const session = loadSession();
+  if (!session) {
+    throw new CrcpError("There is no crcp session in progress.");
+  }
+  // Sessions saved before the journal existed have no run id
+  return { runId: createRunId(), pushes: [], hooks: [], ...session };
+}
+
+/**
+ * Update the status of the commit that stopped the session
+ * @param {Object} session
+ * @param {string} status
+ */
+function settleCurrentCommit(session, status) {
+  session.results = session.results.map((result) =>
+    result.hash === session.current ? { ...result, status } : result
+  );
+  session.current = null;
+}
+
+/**
+ * Get the '.rej' files the port of the stopped commit left in the working tree
+ * @param {Object} session
+ * @returns {string[]}
+ */
+function getRejectedFiles(session) {
+  const { rejected = [] } =
+    session.results.find(({ hash }) => hash === session.current) || {};
+  return rejected.filter((rejectFile) =>
+    fs.existsSync(resolveWorkPath(rejectFile))
+  );
+}
+
+/**
+ * Remove the '.rej' files of the stopped commit, resetting the working tree leaves them behind
+ * @param {Object} session
+ */
+function removeRejectedFiles(session) {
+  getRejectedFiles(session).forEach((rejectFile) =>
+    fs.rmSync(resolveWorkPath(rejectFile))
+  );
+}
+
+/**
+ * Describe each file left conflicted by the commit that stopped the session
+ * @param {Object} session
+ * @returns {Array<Object>} - See getConflictReport
+ */
+function getStoppedConflicts(session) {
+  return getConflictReport(session.current, {
+    ...session.options,
+    rejected: getRejectedFiles(session),
+  });
+}
+
+// Session being worked on by this process, cleaned up on SIGINT
+let runningSession = null;
+
+/**
+ * Remove the worktree, the temporary branch and the saved state of a session
+ * Commits already picked stay on the local target branch
+ * @param {Object} session
+ */
+function discardSessionWorktree(session) {
+  removeWorktree(session.worktree);
+  deleteTemporaryBranch(session.tempBranch);
+  clearSession();
+}
+
+/**
+ * Run a step of a session, inside the session's worktree if it has one
+ * The worktree is kept while the session waits for a conflict to be resolved, and removed otherwise
+ * @param {Object} session
+ * @param {function(): Promise<Object>} step
+ * @returns {Promise<Object>} - Outcome of the step
+ */
+async function inSessionWorktree(session, step) {
+  if (!session.worktree) return step();
+  if (getActiveWorktree() !== session.worktree) {
+    enterWorktree(session.worktree);
+  }
+  runningSession = session;
+  try {
+    const outcome = await step();
+    removeWorktree(session.worktree);
+    return outcome;
+  } catch (error) {
+    if (error instanceof ConflictError && loadSession()) {
+      leaveWorktree();
+      console.log(
+        `The stopped commit is waiting in the worktree - "${session.worktree}".`
+      );
+    } else {
+      discardSessionWorktree(session);
+    }
+    throw error;
+  } finally {
+    runningSession = null;
+  }
+}
+
+/**
+ * Clean up the worktree of the session this process is working on, e.g. when interrupted
+ */
+export function interruptSession() {
+  if (runningSession && runningSession.worktree) {
+    discardSessionWorktree(runningSession);
+    runningSession = null;
+  }
+}
+
+/**
+ * Append the journal entry of a session step
+ * @param {string} command - "pick", "continue", "skip" or "abort"
+ * @param {Object} session
+ * @param {Object<string, string>} refsBefore - Local branches before the step, see snapshotRefs
+ * @param {string} outcome - "success", "conflict", "failed" or "aborted"
+ */
+function recordStep(command, session, refsBefore, outcome) {
+  appendJournalEntry({
+    runId: session.runId,
+    command,
+    sourceRepo: session.usingRemoteUrl,
+    sourceBranch: session.sourceBranch,
+    targetBranch: session.targetBranch,
+    commits: session.results.map(({ hash, status }) => ({ hash, status })),
+    outcome,
+    refs: diffRefs(refsBefore, snapshotRefs()),
+    remoteRefs: session.pushes.splice(0),
+  });
+}
+
+/**
+ * Run a step of a session and journal the refs it changed
+ * @param {string} command
+ * @param {Object} session
+ * @param {function(): Promise<Object>} step
+ * @returns {Promise<Object>} - Outcome of the step
+ */
+async function journalStep(command, session, step) {
+  const refsBefore = snapshotRefs();
+  let outcome = "failed";
+  try {
+    const result = await step();
+    outcome = "success";
+    return result;
+  } catch (error) {
+    if (error instanceof ConflictError) outcome = "conflict";
+    throw error;
+  } finally {
+    recordStep(command, session, refsBefore, outcome);
+  }
+}
+
+/**
+ * Run a verification hook on the picked commits, failing the run when it does not pass
+ * The picks are kept for inspection unless "undoOnFailure" says to reset the target branch
+ * @param {string} name - "postPick" or "prePush"
+ * @param {Object} session
+ * @param {Object} [runOptions]
+ * @param {boolean|function(Object): Promise<boolean>} [runOptions.undoOnFailure] - Reset the target branch
+ * to where the run started, or a callback receiving the failed command that decides it (default false)
+ * @throws {HookError}
+ */
+async function verifyPicks(name, session, runOptions = {}) {
+  const { undoOnFailure = false } = runOptions;
+  const failed = await runHook(name, session);
+  if (!failed) return;
+
+  printHookSummary(session.hooks);
+  const undo =
+    typeof undoOnFailure === "function"
+      ? await undoOnFailure(failed)
+      : undoOnFailure;
+  if (undo) {
+    if (session.worktree) {
+      moveBranch(session.targetBranch, getHead(), session.targetHead);
+    } else {
+      execSync(`git reset --hard ${session.targetHead}`, { stdio: "ignore" });
+    }
+    session.results = session.results.map((result) =>
+      result.status === "applied" ? { ...result, status: "undone" } : result
+    );
+    console.log(
+      chalk.yellow(
+        `Reset "${session.targetBranch}" to ${session.targetHead.slice(
+          0,
+          8
+        )}, the picks were undone.`
+      )
+    );
+  } else {
+    console.log(
+      `The picks stay on "${session.targetBranch}", run ${chalk.cyan(
+        "crcp undo"
+      )} to drop them.`
+    );
+  }
+  throw new HookError(
+    `The ${name} hook "${failed.command}" failed with exit code ${failed.exitCode}, nothing was pushed.`,
+    session.results,
+    session.hooks
+  );
+}
+
+/**
+ * Build the error of a push that was refused, by the push policy or by the remote
+ * The picked commits stay on the local target branch, the error carries them with the push report
+ * @param {string} message
+ * @param {Object} session
+ * @param {Object} report - Result of inspectPush
+ * @returns {PushError}
+ */
+function refusePush(message, session, report) {
+  const stranded = session.results.filter(
+    ({ status }) => status === "applied"
+  ).length;
+  console.log(
+    `${stranded} picked commit(s) stay on "${
+      session.targetBranch
+    }" without being pushed, run ${chalk.cyan("crcp undo")} to drop them.`
+  );
+  return new PushError(message, session.results, report);
+}
+
+/**
+ * Move the target branch to the commits picked in the session's worktree
+ * They are picked on a detached HEAD, the target branch only moves if nobody else moved it meanwhile
+ * @param {Object} session
+ */
+function landWorktreePicks(session) {
+  const pickedHead = getHead();
+  if (!session.createdTarget && pickedHead === session.targetHead) return;
+  moveBranch(
+    session.targetBranch,
+    session.createdTarget ? null : session.targetHead,
+    pickedHead
+  );
+  if (session.createdTarget) {
+    console.log(`Created the target branch - "${session.targetBranch}".`);
+  }
+}
+
+/**
+ * Push the target branch if confirmed, then clean up the temporary branch and the session
+ * The push follows the session's push policy and is refused when the report shows it is unsafe,
+ * or when the "postPick" or "prePush" hook fails
+ * @param {Object} session
+ * @param {Object} [runOptions]
+ * @param {boolean|function(Array<Object>, Object): Promise<boolean>} [runOptions.push] - Whether to push,
+ * or a callback receiving the pick results and the push report that decides it (default false)
+ * @param {boolean|function(Object): Promise<boolean>} [runOptions.undoOnFailure] - See verifyPicks
+ * @returns {Promise<string[]>} - Pushed refs
+ */
+async function finishSession(session, runOptions = {}) {
+  const { push = false } = runOptions;
+  const { tempBranch } = session;
+  const pushed = [];
+  printPickSummary(session.results);
+
+  try {
+    if (session.worktree) {
+      landWorktreePicks(session);
+    }
+    if (session.results.some(({ status }) => status === "applied")) {
+      await verifyPicks("postPick", session, runOptions);
+    }
+    let pushChanges = false;
+    if (push) {
+      const report = inspectPush(session);
+      printPushReport(report);
+      if (!report.allowed) {
+        throw refusePush(report.reason, session, report);
+      }
+      pushChanges =
+        typeof push === "function" ? await push(session.results, report) : push;
+      if (pushChanges) {
+        await verifyPicks("prePush", session, runOptions);
+        console.log("Waiting push...");
+        try {
+          pushed.push(pushTarget(report));
+        } catch (error) {
+          throw refusePush(error.message, session, report);
+        }
+        session.pushes.push({
+          remote: report.remote,
+          ref: `refs/heads/${report.destination}`,
+          old: report.remoteHead,
+          new: report.localHead,
+        });
+        console.log(chalk.green("Changes successfully pushed."));
+      }
+    }
+    if (!pushChanges) {
+      console.log(chalk.yellow("Merge completed but not pushed."));
+    }
+    if (session.sync) {
+      // Picks onto a mirror of a remote branch only count once they reach the remote
+      if (pushChanges || !session.sync.requiresPush) {
+        advanceSyncWatermark(session.sync, session.results);
+      } else {
+        console.log(
+          chalk.yellow(
+            `The sync of ${session.sync.key} stays where it was until the picks are pushed.`
+          )
+        );
+      }
+    }
+    if (session.hooks.length) {
+      printHookSummary(session.hooks);
+    }
+  } finally {
+    deleteTemporaryBranch(tempBranch);
+    clearSession();
+  }
+  return pushed;
+}
+
+/**
+ * Get the options each commit of a session is picked with
+ * @param {Object} session
+ * @param {Object} [runOptions]
+ * @param {function(string, string): Promise<string>} [runOptions.editMessage] - See rewritePickedMessage
+ * @param {function} [runOptions.selectChanges] - Chooses the files and hunks of each commit, see portCommitPatch
+ * @returns {Object} - Porting and message options, see pickCommit
+ */
+function getPickOptions(session, runOptions = {}) {
+  return {
+    ...session.options,
+    editMessage: runOptions.editMessage,
+    selectChanges: runOptions.selectChanges,
+    // Values of the message template placeholders
+    messageContext: session.messageContext || {
+      sourceRepo: session.usingRemoteUrl,
+      sourceBranch: session.sourceBranch,
+      targetBranch: session.targetBranch,
+    },
+  };
+}
+
+/**
+ * Pick the pending commits of a session
+ * On conflict the session is saved and a ConflictError is thrown, waiting for '--continue', '--skip' or '--abort'
+ * @param {Object} session
+ * @param {Object} [runOptions] - See finishSession and getPickOptions
+ * @returns {Promise<{results: Array<Object>, pushed: string[], hooks: Array<Object>}>}
+ */
+export async function runSession(session, runOptions = {}) {
+  const pending = session.results
+    .filter(({ status }) => status === "pending")
+    .map(({ hash }) => hash);
+
+  const results = await cherryPickCommits(
+    pending,
+    getPickOptions(session, runOptions)
+  );
+  const resultMap = new Map(results.map((result) => [result.hash, result]));
+  session.results = session.results.map(
+    (result) => resultMap.get(result.hash) || result
+  );
+
+  const stopped = results.find(({ status }) => STOP_STATUSES.includes(status));
+  if (stopped) {
+    session.current = stopped.hash;
+    session.stopHead = getHead();
+    saveSession(session);
+    printPickSummary(session.results);
+    const conflictedFiles =
+      stopped.status === "conflict" ? getStoppedConflicts(session) : [];
+    if (conflictedFiles.length) {
+      printConflictReport(describeConflicts(session, conflictedFiles));
+    }
+    let instruction = "Resolve the conflicts and stage the files, then run:";
+    if (stopped.status === "unmapped") {
+      instruction =
+        "Port the files outside the path map by hand and stage them, then run:";
+    } else if (stopped.rejected) {
+      instruction =
+        "Apply the hunks of the '.rej' files by hand, delete them and stage the files, then run:";
+    }
+    console.log(
+      [
+        instruction,
+        ...(conflictedFiles.length
+          ? [
+              `  ${chalk.cyan(
+                "crcp resolve"
+              )}   take ours or theirs, or open the merge tool, per file`,
+            ]
+          : []),
+        `  ${chalk.cyan(
+          "crcp continue"
+        )}  finish this commit and pick the rest`,
+        `  ${chalk.cyan("crcp skip")}      drop this commit and pick the rest`,
+        `  ${chalk.cyan("crcp abort")}     restore the original branch`,
+      ].join("\n")
+    );
+    throw new ConflictError(
+      `Cherry-pick of ${stopped.hash.slice(0, 8)} stopped (${stopped.status}).`,
+      session.results,
+      conflictedFiles
+    );
+  }
+
+  const pushed = await finishSession(session, runOptions);
+  return { results: session.results, pushed, hooks: session.hooks };
+}
+
+/**
+ * Describe the conflicts of the commit that stopped a session
+ * @param {Object} session
+ * @param {Array<Object>} files - See getConflictReport
+ * @returns {{commit: string, subject: string, files: Array<Object>}}
+ */
+function describeConflicts(session, files) {
+  return {
+    commit: session.current,
+    subject: getCommitSubject(session.current),
+    files,
+  };
+}
+
+/**
+ * Run a step in the working tree of the session stopped on a commit
+ * @param {function(Object): *} step - Receives the session
+ * @returns {*} - Result of the step
+ */
+function inStoppedSession(step) {
+  const session = requireSession();
+  if (!session.current) {
+    throw new CrcpError("The crcp session is not stopped on a commit.");
+  }
+  if (session.worktree) {
+    enterWorktree(session.worktree);
+  }
+  try {
+    return step(session);
+  } finally {
+    if (session.worktree) {
+      leaveWorktree();
+    }
+  }
+}
+
+/**
+ * Describe each file left conflicted by the commit that stopped the session
+ * @returns {{commit: string, subject: string, files: Array<Object>}} - See getConflictReport
+ */
+export function getSessionConflicts() {
+  return inStoppedSession((session) =>
+    describeConflicts(session, getStoppedConflicts(session))
+  );
+}
+
+/**
+ * Resolve conflicted files of the commit that stopped the session, see resolveConflictedFile
+ * @param {Object<string, string>} resolutions - File path => "ours", "theirs" or "mergetool"
+ * @param {{tool?: string}} [options]
+ * @returns {{commit: string, subject: string, files: Array<Object>}} - The files still conflicted
+ */
+export function resolveSessionConflicts(resolutions, options = {}) {
+  return inStoppedSession((session) => {
+    const rejected = getRejectedFiles(session);
+    Object.entries(resolutions).forEach(([filePath, resolution]) => {
+      resolveConflictedFile(filePath, resolution, { ...options, rejected });
+    });
+    return describeConflicts(session, getStoppedConflicts(session));
+  });
+}
+
+/**
+ * Summarize the per-commit results of a run
+ * @param {{results?: Array<Object>, pushed?: string[], hooks?: Array<Object>, conflictedFiles?: Array<Object>,
+ * pushReport?: Object}} outcome
+ * @returns {{commits: Array<Object>, applied: string[], conflicts: string[], pushed: string[], hooks: Array<Object>}}
+ * - With "conflictedFiles" when the run stopped on conflicted files, and "pushReport" when the push was refused
+ */
+export function summarizeRun({
+  results = [],
+  pushed = [],
+  hooks = [],
+  conflictedFiles = [],
+  pushReport = null,
+}) {
+  return {
+    commits: results,
+    applied: results
+      .filter(({ status }) => status === "applied")
+      .map(({ hash }) => hash),
+    conflicts: results
+      .filter(({ status }) => STOP_STATUSES.includes(status))
+      .map(({ hash }) => hash),
+    pushed,
+    hooks,
+    ...(conflictedFiles.length && { conflictedFiles }),
+    ...(pushReport && { pushReport }),
+  };
+}
+
+/**
+ * Prepare the branches and pick the commits of a new session
+ * @param {Object} target
+ * @param {string} target.usingRemoteName
+ * @param {string} target.usingRemoteUrl
+ * @param {string} target.sourceBranch
+ * @param {string} target.targetBranch
+ * @param {string[]} target.commits - Full commit hashes, oldest-first
+ * @param {Object} [target.options] - Porting options, see portCommitPatch, and the push policy, see inspectPush
+ * @param {boolean} [target.worktree] - Work in a temporary worktree, leaving the current checkout untouched
+ * @param {Object} [target.sync] - Sync plan the commits come from, its watermark moves
+ * to the planned tip once the session finishes, see planSync
+ * @param {{remote: string, branch: string}} [target.pushTo] - Where the target branch is pushed,
+ * the branch of the same name on origin by default
+ * @param {Object} [target.messageContext] - Placeholder values of the commit messages, see renderCommitMessage
+ * @param {string} [target.runId] - Journal run the session belongs to, e.g. shared by the branches of a fan-out
+ * (default a new run)
+ * @param {Object} [runOptions] - See finishSession
+ * @returns {Promise<{results: Array<Object>, pushed: string[]}>}
+ */
+export async function startSession(target, runOptions) {
+  const {
+    usingRemoteName,
+    usingRemoteUrl,
+    sourceBranch,
+    targetBranch,
+    commits,
+    options = {},
+    worktree = false,
+    sync = null,
+    pushTo = null,
+    messageContext = null,
+    runId = createRunId(),
+  } = target;
+
+  const session = {
+    runId,
+    usingRemoteName,
+    usingRemoteUrl,
+    sourceBranch,
+    targetBranch,
+    tempBranch: `temp-${sourceBranch}`,
+    originalBranch: getCurrentBranch(),
+    worktree: worktree ? createWorktree() : null,
+    targetHead: null,
+    createdTarget: false,
+    // Lease for the "force-with-lease" push policy
+    remoteHead: pushTo
+      ? getRemoteHead(pushTo.branch, pushTo.remote)
+      : getRemoteHead(targetBranch),
+    options,
+    sync,
+    pushTo,
+    messageContext,
+    current: null,
+    // Remote branches pushed by the step being journaled
+    pushes: [],
+    // Hook commands run so far, see runHook
+    hooks: [],
+    results: commits.map((hash) => ({
+      hash,
+      subject: getCommitSubject(hash),
+      status: "pending",
+    })),
+  };
+
+  // A new target branch starts where the dry run predicts it, resolved before any checkout moves HEAD
+  const targetRef = resolveTargetRef(targetBranch);
+  const targetStart = targetRef === "HEAD" ? getHead() : targetRef;
+
+  const pick = () =>
+    inSessionWorktree(session, async () => {
+      // Create a temporary branch - 'temp-${sourceBranch}'
+      createTemporaryBranch(
+        session.tempBranch,
+        `${usingRemoteName}/${sourceBranch}`
+      );
+
+      // Create/switch to a user-specified target branch, abort deletes a branch created here.
+      // A worktree picks on a detached HEAD, the target may be checked out elsewhere
+      session.createdTarget = session.worktree
+        ? detachAtTargetBranch(targetBranch, targetStart)
+        : switchTargetBranch(targetBranch, targetStart);
+      session.targetHead = getHead();
+
+      const failed = await runHook("prePick", session);
+      if (failed) {
+        printHookSummary(session.hooks);
+        // Nothing was picked, put the branches back as they were
+        if (!session.worktree) {
+          execSync(`git checkout ${session.originalBranch}`, {
+            stdio: "ignore",
+          });
+        }
+        deleteTemporaryBranch(session.tempBranch);
+        throw new HookError(
+          `The prePick hook "${failed.command}" failed with exit code ${failed.exitCode}, nothing was picked.`,
+          session.results,
+          session.hooks
+        );
+      }
+
+      // Execute 'cherry-pick' and handle conflicts
+      return runSession(session, runOptions);
+    });
+  return journalStep("pick", session, pick);
+}
+
+/**
+ * Finish the conflicted commit after a manual resolution and resume the session
+ * @param {Object} [runOptions] - See finishSession
+ * @returns {Promise<{results: Array<Object>, pushed: string[]}>}
+ */
+export async function continueSession(runOptions) {
+  const session = requireSession();
+  return journalStep("continue", session, () =>
+    inSessionWorktree(session, () => continueInPlace(session, runOptions))
+  );
+}
+
+/**
+ * Finish the conflicted commit in the current working tree and resume the session
+ * @param {Object} session
+ * @param {Object} [runOptions] - See finishSession
+ * @returns {Promise<{results: Array<Object>, pushed: string[]}>}
+ */
+async function continueInPlace(session, runOptions) {
+  const conflictedFiles = getConflictedFiles();
+  if (conflictedFiles.length) {
+    throw new ConflictError(
+      `Resolve the conflicts before continuing: ${conflictedFiles.join(", ")}`,
+      session.results,
+      getStoppedConflicts(session)
+    );
+  }
+  // The '.rej' files are not staged, committing now would silently drop their hunks
+  const rejectedFiles = getRejectedFiles(session);
+  if (rejectedFiles.length) {
+    throw new ConflictError(
+      `Apply the rejected hunks by hand and delete the '.rej' files before continuing: ${rejectedFiles.join(
+        ", "
+      )}`,
+      session.results,
+      getStoppedConflicts(session)
+    );
+  }
+
+  let status = "applied";
+  if (!isCherryPickInProgress()) {
+    // A ported patch has no cherry-pick state, commit what was staged by hand
+    if (hasStagedChanges()) {
+      execSync(`git commit --no-verify -C ${session.current}`, {
+        stdio: "ignore",
+        cwd: getWorkDir(),
+      });
+    } else if (getHead() === session.stopHead) {
+      status = "empty";
+    }
+  } else {
+    const { status: code, stderr } = spawnSync(
+      "git",
+      ["cherry-pick", "--continue"],
+      {
+        encoding: "utf-8",
+        cwd: getWorkDir(),
+        env: { ...process.env, GIT_EDITOR: "true" },
+      }
+    );
+    if (code !== 0) {
+      if (!/empty/i.test(stderr)) {
+        throw new CrcpError(`Failed to continue the cherry-pick. ${stderr}`);
+      }
+      // The resolution left nothing to commit
+      execSync("git cherry-pick --skip", {
+        stdio: "ignore",
+        cwd: getWorkDir(),
+      });
+      status = "empty";
+    }
+  }
+  if (status === "applied") {
+    const { leftOut } = session.results.find(
+      ({ hash }) => hash === session.current
+    );
+    await rewritePickedMessage(session.current, {
+      ...getPickOptions(session, runOptions),
+      leftOut,
+    });
+  }
+  console.log(chalk.greenBright("Cherry-pick continued"));
+
+  settleCurrentCommit(session, status);
+  return runSession(session, runOptions);
+}
+
+/**
+ * Drop the conflicted commit and resume the session
+ * @param {Object} [runOptions] - See finishSession
+ * @returns {Promise<{results: Array<Object>, pushed: string[]}>}
+ */
+export async function skipSession(runOptions) {
+  const session = requireSession();
+  return journalStep("skip", session, () =>
+    inSessionWorktree(session, () => {
+      if (isCherryPickInProgress()) {
+        execSync("git cherry-pick --skip", {
+          stdio: "ignore",
+          cwd: getWorkDir(),
+        });
+      } else {
+        // Drop what the port of the skipped commit applied
+        execSync("git reset -q --merge", {
+          stdio: "ignore",
+          cwd: getWorkDir(),
+        });
+        removeRejectedFiles(session);
+      }
+      console.log(chalk.yellow(`Skipped commit ${session.current}.`));
+
+      settleCurrentCommit(session, "skipped");
+      return runSession(session, runOptions);
+    })
+  );
+}
+
+/**
+ * Cancel the session, restoring the target and the original branch
+ * A target branch the session created is deleted, a worktree session never moved it
+ * @returns {{results: Array<Object>, pushed: string[]}}
+ */
+export function abortSession() {
+  const session = requireSession();
+  const {
+    targetBranch,
+    targetHead,
+    createdTarget,
+    originalBranch,
+    tempBranch,
+    worktree,
+  } = session;
+  const refsBefore = snapshotRefs();
+  if (worktree) {
+    // The picks are on the worktree's detached HEAD, they go with it
+    removeWorktree(worktree);
+  } else {
+    if (isCherryPickInProgress()) {
+      execSync("git cherry-pick --abort", { stdio: "ignore" });
+    }
+
+    // Drop the commits already picked in this session
+    execSync(`git checkout ${targetBranch}`, { stdio: "ignore" });
+    execSync(`git reset --hard ${targetHead}`, { stdio: "ignore" });
+    removeRejectedFiles(session);
+    execSync(`git checkout ${originalBranch}`, { stdio: "ignore" });
+    if (createdTarget) {
+      execSync(`git branch -D ${targetBranch}`, { stdio: "ignore" });
+    }
+  }
+  deleteTemporaryBranch(tempBranch);
+  clearSession();
+  recordStep("abort", session, refsBefore, "aborted");
+  console.log(
+    chalk.yellow(`Cherry-pick aborted, back on "${originalBranch}".`)
+  );
+  return { results: session.results, pushed: [] };
+}
+
+/**
+ * Describe the session in progress without changing anything
+ * @returns {Object|null} - The saved session with the files still conflicted, null if no session is in progress
+ */
+export function getSessionStatus() {
+  const session = loadSession();
+  if (!session) return null;
+  const { worktree } = session;
+  if (worktree) {
+    enterWorktree(worktree);
+  }
+  try {
+    return {
+      sourceRepo: session.usingRemoteUrl,
+      sourceBranch: session.sourceBranch,
+      targetBranch: session.targetBranch,
+      originalBranch: session.originalBranch,
+      worktree,
+      current: session.current,
+      conflictedFiles: getConflictedFiles(),
+      conflicts: session.current ? getStoppedConflicts(session) : [],
+      results: session.results,
+    };
+  } finally {
+    if (worktree) {
+      leaveWorktree();
+    }
+  }
+}
@@ -0,0 +1,283 @@
+import { execSync, spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { getCommitSubject, isMergeCommit } from "../utils/commit/index.js";
+import { serializePatch } from "../utils/patch/index.js";
+import { needsPatchPort, buildPortPatch } from "./pick.js";
+
+// Tree object of an empty directory, used as the base of root commits
+const EMPTY_TREE = "4b825dc642cb6eb9a060e54bf8d69288fbee4904";
+
+/**
+ * Run a git command against the temporary index and object directory
+ * @param {string[]} args
+ * @param {Object} context
+ * @param {Object<string, string>} context.env - See createSimulationContext
+ * @param {string} [input]
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function runGit(args, { env }, input) {
+  return spawnSync("git", args, {
+    input,
+    encoding: "utf-8",
+    maxBuffer: 1024 * 1024 * 64,
+    env,
+  });
+}
+
+/**
+ * Create the temporary index and object directory a simulation works in
+ * Merged blobs and trees are written to the temporary object directory, which reads the repository's
+ * objects as an alternate, so the repository itself is left untouched
+ * @param {string} tempDir
+ * @returns {{tempDir: string, indexFile: string, env: Object<string, string>}}
+ */
+function createSimulationContext(tempDir) {
+  const gitDir = execSync("git rev-parse --git-common-dir", {
+    encoding: "utf-8",
+  }).trim();
+  const objectDir = path.join(tempDir, "objects");
+  fs.mkdirSync(objectDir);
+  const indexFile = path.join(tempDir, "index");
+  return {
+    tempDir,
+    indexFile,
+    env: {
+      ...process.env,
+      GIT_INDEX_FILE: indexFile,
+      GIT_OBJECT_DIRECTORY: objectDir,
+      GIT_ALTERNATE_OBJECT_DIRECTORIES: path.resolve(gitDir, "objects"),
+    },
+  };
+}
+
+/**
+ * Resolve a revision to its tree
+ * @param {string} revision
+ * @returns {string} - Tree hash
+ */
+function getTree(revision) {
+  return execSync(`git rev-parse ${revision}^{tree}`, {
+    encoding: "utf-8",
+  }).trim();
+}
+
+/**
+ * Get the tree a commit was made on
+ * @param {string} commitHash
+ * @param {number} [parent] - Parent number, the mainline of a merge commit (default 1)
+ * @returns {string} - Tree hash of the parent, the empty tree for root commits
+ */
+function getParentTree(commitHash, parent = 1) {
+  try {
+    return execSync(
+      `git rev-parse -q --verify ${commitHash}^${parent}^{tree}`,
+      {
+        encoding: "utf-8",
+        stdio: ["ignore", "pipe", "ignore"],
+      }
+    ).trim();
+  } catch (error) {
+    return EMPTY_TREE;
+  }
+}
+
+/**
+ * Check whether a tree contains a path
+ * @param {string} tree - May be a simulated tree, only found in the temporary object directory
+ * @param {string} filePath
+ * @param {Object} context
+ * @returns {boolean}
+ */
+function treeHasPath(tree, filePath, { env }) {
+  try {
+    execSync(`git cat-file -e ${tree}:"${filePath}"`, { stdio: "ignore", env });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Merge the three versions of a file in memory
+ * @param {Object} stages - Blob entries by stage: 1 base, 2 ours (target), 3 theirs (commit)
+ * @param {Object} context
+ * @returns {{clean: boolean, blob: string|null}} - Merged blob when the merge is clean
+ */
+function mergeFileStages(stages, { tempDir, env }) {
+  const files = ["1", "2", "3"].map((stage) => {
+    const filePath = path.join(tempDir, `stage-${stage}`);
+    // Earlier simulated commits may have merged the blob into the temporary object directory
+    const content = stages[stage]
+      ? execSync(`git cat-file blob ${stages[stage].blob}`, { env })
+      : Buffer.alloc(0);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  });
+
+  const { status, stdout } = spawnSync(
+    "git",
+    ["merge-file", "-p", "--quiet", files[1], files[0], files[2]],
+    { maxBuffer: 1024 * 1024 * 64 }
+  );
+  if (status !== 0) return { clean: false, blob: null };
+
+  const blob = execSync("git hash-object -w --stdin", { input: stdout, env })
+    .toString()
+    .trim();
+  return { clean: true, blob };
+}
+
+/**
+ * Simulate a cherry-pick with a 3-way read-tree in the temporary index
+ * @param {string} commitHash
+ * @param {string} oursTree - Tree of the target before this commit
+ * @param {Object} context
+ * @param {number} [mainline] - Parent a merge commit is picked against (default 1)
+ * @returns {{files: Array<{path: string, status: string}>, tree: string}}
+ * - Per-file result and the tree the target would have afterwards
+ */
+function simulateCherryPick(commitHash, oursTree, context, mainline = 1) {
+  const baseTree = getParentTree(
+    commitHash,
+    isMergeCommit(commitHash) ? mainline : 1
+  );
+  fs.rmSync(context.indexFile, { force: true });
+  runGit(
+    ["read-tree", "-m", "-i", "--aggressive", baseTree, oursTree, commitHash],
+    context
+  );
+
+  // Group the unmerged entries by path: "<mode> <blob> <stage>\t<path>"
+  const unmerged = {};
+  runGit(["ls-files", "-u"], context)
+    .stdout.split("\n")
+    .filter(Boolean)
+    .forEach((line) => {
+      const [info, filePath] = line.split("\t");
+      const [mode, blob, stage] = info.split(" ");
+      unmerged[filePath] = { ...unmerged[filePath], [stage]: { mode, blob } };
+    });
+
+  const touched = execSync(
+    `git diff-tree -r --name-only --no-renames ${baseTree} ${commitHash}`,
+    { encoding: "utf-8" }
+  )
+    .split("\n")
+    .filter(Boolean);
+
+  const resolutions = [];
+  const files = touched.map((filePath) => {
+    const stages = unmerged[filePath];
+    if (!stages) return { path: filePath, status: "clean" };
+
+    let status = "conflict";
+    let resolved = stages["2"] || null;
+    if (!stages["2"] && stages["1"]) {
+      // The commit changes a file the target does not have
+      status = "missing";
+    } else if (stages["2"] && stages["3"]) {
+      const { clean, blob } = mergeFileStages(stages, context);
+      if (clean) {
+        status = "clean";
+        resolved = { mode: stages["3"].mode, blob };
+      }
+    }
+
+    // Settle the path so that the next commit can build on this tree
+    resolutions.push(`0 ${"0".repeat(40)}\t${filePath}`);
+    if (resolved) {
+      resolutions.push(`${resolved.mode} ${resolved.blob} 0\t${filePath}`);
+    }
+    return { path: filePath, status };
+  });
+
+  if (resolutions.length) {
+    runGit(
+      ["update-index", "--index-info"],
+      context,
+      `${resolutions.join("\n")}\n`
+    );
+  }
+  const tree = runGit(["write-tree"], context).stdout.trim();
+  return { files, tree };
+}
+
+/**
+ * Simulate applying a rewritten patch file by file in the temporary index
+ * @param {string} commitHash
+ * @param {string} oursTree
+ * @param {Object} context
+ * @param {Object} options - Porting options, see buildPortPatch
+ * @returns {{files: Array<{path: string, status: string}>, tree: string}}
+ */
+function simulatePortPatch(commitHash, oursTree, context, options) {
+  const { unmappedPaths = "report" } = options;
+  const {
+    files: sections,
+    unmapped,
+    excluded,
+  } = buildPortPatch(commitHash, options);
+  fs.rmSync(context.indexFile, { force: true });
+  runGit(["read-tree", oursTree], context);
+
+  const files = [
+    ...excluded.map((filePath) => ({ path: filePath, status: "excluded" })),
+    ...unmapped.map((filePath) => ({
+      path: filePath,
+      status: unmappedPaths === "drop" ? "dropped" : "unmapped",
+    })),
+  ];
+  sections.forEach((section) => {
+    const filePath = section.newPath || section.oldPath;
+    if (section.oldPath && !treeHasPath(oursTree, section.oldPath, context)) {
+      files.push({ path: filePath, status: "missing" });
+      return;
+    }
+    const { status } = runGit(
+      ["apply", "--cached", "--whitespace=nowarn"],
+      context,
+      serializePatch([section])
+    );
+    files.push({ path: filePath, status: status === 0 ? "clean" : "conflict" });
+  });
+
+  const tree = runGit(["write-tree"], context).stdout.trim();
+  return { files, tree };
+}
+
+/**
+ * Predict how the commits would apply onto a target, without touching any branch or the working tree
+ * @param {string[]} commits - Full commit hashes, oldest-first
+ * @param {string} targetRef - Branch or commit the commits would be picked onto
+ * @param {Object} [options] - Porting options, see buildPortPatch
+ * @returns {Array<{hash: string, subject: string, status: string, files: Array<{path: string, status: string}>}>}
+ * - Commit status is "clean", "empty", "conflict", "missing" or "unmapped"
+ */
+export function simulatePicks(commits, targetRef, options = {}) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "crcp-"));
+  const context = createSimulationContext(tempDir);
+  const patchPort = needsPatchPort(options);
+
+  try {
+    let oursTree = getTree(targetRef);
+    return commits.map((hash) => {
+      const { files, tree } = patchPort
+        ? simulatePortPatch(hash, oursTree, context, options)
+        : simulateCherryPick(hash, oursTree, context, options.mainline);
+
+      const statuses = files.map(({ status }) => status);
+      let status = "clean";
+      if (statuses.includes("unmapped")) status = "unmapped";
+      else if (statuses.includes("conflict")) status = "conflict";
+      else if (statuses.includes("missing")) status = "missing";
+      else if (tree === oursTree) status = "empty";
+
+      oursTree = tree;
+      return { hash, subject: getCommitSubject(hash), status, files };
+    });
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
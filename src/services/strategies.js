@@ -0,0 +1,29 @@
+// Chain a commit is picked with when no strategies are configured
+export const DEFAULT_STRATEGIES = ["pick"];
+
+/**
+ * Parse a strategy of the fallback chain a commit is picked with
+ * "pick" - plain 'git cherry-pick'
+ * "renames=<n>" - 'git cherry-pick -X find-renames=<n>%', a lower threshold pairs more renamed files
+ * "-X<option>" - 'git cherry-pick' with a merge strategy option, e.g. "-Xignore-space-change"
+ * "patience" - 'git cherry-pick -X diff-algorithm=patience'
+ * "apply-3way" - apply the patch of the commit with 'git apply --3way'
+ * @param {string} spec
+ * @returns {{name: string, apply: boolean, args: string[]}|null} - 'git cherry-pick' arguments, null when unknown
+ */
+export function parseStrategy(spec) {
+  if (typeof spec !== "string") return null;
+  const name = spec.trim();
+  if (name === "pick") return { name, apply: false, args: [] };
+  if (name === "apply-3way") return { name, apply: true, args: [] };
+  if (name === "patience") {
+    return { name, apply: false, args: ["-X", "diff-algorithm=patience"] };
+  }
+  const renames = name.match(/^renames=(\d{1,3})$/);
+  if (renames && Number(renames[1]) <= 100) {
+    return { name, apply: false, args: ["-X", `find-renames=${renames[1]}%`] };
+  }
+  const option = name.match(/^-X\s*(\S+)$/);
+  if (option) return { name, apply: false, args: ["-X", option[1]] };
+  return null;
+}
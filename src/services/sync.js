@@ -0,0 +1,376 @@
+import { execSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import { getCurrentBranch, resolveTargetRef } from "../utils/branch/index.js";
+import {
+  getCommitSubject,
+  getOriginHashes,
+  getSyncStatuses,
+} from "../utils/commit/index.js";
+import { CrcpError, InputError } from "../utils/error/index.js";
+
+/**
+ * Get the path of the sync watermarks - '.git/crcp/sync.json'
+ * @returns {string}
+ */
+function getSyncFilePath() {
+  const gitDir = execSync("git rev-parse --git-common-dir", {
+    encoding: "utf-8",
+  }).trim();
+  return path.resolve(gitDir, "crcp", "sync.json");
+}
+
+/**
+ * Load the sync state of every source/target pair
+ * @returns {{pairs: Object<string, Object>}}
+ */
+function loadSyncState() {
+  const syncFilePath = getSyncFilePath();
+  if (!fs.existsSync(syncFilePath)) return { pairs: {} };
+  return JSON.parse(fs.readFileSync(syncFilePath, "utf-8"));
+}
+
+/**
+ * Save the sync state of every source/target pair
+ * @param {{pairs: Object<string, Object>}} state
+ */
+function saveSyncState(state) {
+  const syncFilePath = getSyncFilePath();
+  fs.mkdirSync(path.dirname(syncFilePath), { recursive: true });
+  fs.writeFileSync(syncFilePath, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Identify a source/target pair
+ * @param {string} remoteName
+ * @param {string} sourceBranch
+ * @param {string} targetBranch
+ * @returns {string} - e.g. "upstream/main->develop"
+ */
+export function getSyncPairKey(remoteName, sourceBranch, targetBranch) {
+  return `${remoteName}/${sourceBranch}->${targetBranch}`;
+}
+
+/**
+ * Get the URL other repositories know the current repository by
+ * @returns {string} - The URL of origin, or the repository directory when there is no origin
+ */
+function getCurrentRepoUrl() {
+  try {
+    return execSync("git remote get-url origin", {
+      encoding: "utf-8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch (error) {
+    return execSync("git rev-parse --show-toplevel", {
+      encoding: "utf-8",
+    }).trim();
+  }
+}
+
+/**
+ * Get the local branch the commits synced back to a remote branch are picked onto
+ * @param {string} remoteName
+ * @param {string} branch
+ * @returns {string}
+ */
+export function getSyncMirrorBranch(remoteName, branch) {
+  return `crcp-sync/${remoteName}/${branch}`;
+}
+
+/**
+ * Switch from the mirror of a remote branch to the target branch when the mirror is checked out
+ * @param {string} mirrorBranch - See getSyncMirrorBranch
+ * @param {string} targetBranch
+ */
+export function leaveSyncMirror(mirrorBranch, targetBranch) {
+  if (getCurrentBranch() === mirrorBranch) {
+    execSync(`git checkout ${targetBranch}`, { stdio: "ignore" });
+  }
+}
+
+/**
+ * Point the mirror of a remote branch at the remote branch again, see getSyncMirrorBranch
+ * @param {string} remoteName
+ * @param {string} branch
+ * @param {string} targetBranch - Checked out instead of the mirror when needed
+ * @returns {string} - The mirror branch
+ */
+export function resetSyncMirror(remoteName, branch, targetBranch) {
+  const mirrorBranch = getSyncMirrorBranch(remoteName, branch);
+  leaveSyncMirror(mirrorBranch, targetBranch);
+  try {
+    execSync(`git branch -f ${mirrorBranch} ${remoteName}/${branch}`, {
+      stdio: "ignore",
+    });
+  } catch (error) {
+    throw new CrcpError(
+      `Failed to reset "${mirrorBranch}", it may be checked out in another worktree. ${error.message}`
+    );
+  }
+  return mirrorBranch;
+}
+
+/**
+ * Turn the porting options of the source-to-target way into those of the way back
+ * The path map and the issue keys are inverted, literal substitutions are swapped
+ * @param {Object} options
+ * @param {Object<string, string>} [options.pathMap]
+ * @param {Array<Object>} [options.substitutions]
+ * @param {Object<string, string>} [options.issueKeys]
+ * @returns {{pathMap: Object<string, string>, substitutions: Array<Object>, issueKeys: Object<string, string>}}
+ */
+export function reversePortingOptions({
+  pathMap = {},
+  substitutions = [],
+  issueKeys = {},
+}) {
+  const invert = (map) =>
+    Object.fromEntries(Object.entries(map).map(([from, to]) => [to, from]));
+  if (substitutions.some(({ regex, paths = [] }) => regex || paths.length)) {
+    throw new InputError(
+      "Only literal substitutions without paths can be reversed, sync one way or simplify the substitutions."
+    );
+  }
+  return {
+    pathMap: invert(pathMap),
+    substitutions: substitutions.map(({ from, to }) => ({
+      from: to,
+      to: from,
+    })),
+    issueKeys: invert(issueKeys),
+  };
+}
+
+/**
+ * Describe both sync directions of a pair
+ * "forward" brings the commits of the source remote branch to the target branch,
+ * "reverse" brings the commits of the target branch back to the source remote branch
+ * @param {Object} pair
+ * @param {string} pair.usingRemoteName
+ * @param {string} pair.usingRemoteUrl
+ * @param {string} pair.sourceBranch
+ * @param {string} pair.targetBranch
+ * @returns {{forward: Object, reverse: Object}} - key, sourceRepo, sourceRef, sourceBranch, targetRef,
+ * targetBranch and the option setting the starting point of each direction
+ */
+export function getSyncDirections(pair) {
+  const { usingRemoteName, usingRemoteUrl, sourceBranch, targetBranch } = pair;
+  const remoteBranch = `${usingRemoteName}/${sourceBranch}`;
+  const targetRef = resolveTargetRef(targetBranch);
+  return {
+    forward: {
+      key: getSyncPairKey(usingRemoteName, sourceBranch, targetBranch),
+      sourceRepo: usingRemoteUrl,
+      sourceRef: remoteBranch,
+      sourceBranch,
+      targetRef,
+      targetBranch,
+      startOption: "--from",
+    },
+    reverse: {
+      key: `${targetBranch}->${remoteBranch}`,
+      sourceRepo: getCurrentRepoUrl(),
+      sourceRef: targetRef,
+      sourceBranch: targetBranch,
+      targetRef: remoteBranch,
+      targetBranch: remoteBranch,
+      startOption: "--reverse-from",
+    },
+  };
+}
+
+/**
+ * Update the sync state of a direction, creating it when needed
+ * @param {{key: string, sourceRepo: string, sourceBranch: string, targetBranch: string}} direction
+ * @param {function(Object): Object} update - Receives the stored state, returns the new one
+ * @returns {Object} - The stored state
+ */
+function updateSyncPair(direction, update) {
+  const { key, sourceRepo, sourceBranch, targetBranch } = direction;
+  const state = loadSyncState();
+  state.pairs[key] = {
+    ...update(
+      state.pairs[key] || {
+        watermark: null,
+        skipped: [],
+      }
+    ),
+    sourceRepo,
+    sourceBranch,
+    targetBranch,
+    date: new Date().toISOString(),
+  };
+  saveSyncState(state);
+  return state.pairs[key];
+}
+
+/**
+ * Check whether a commit is an ancestor of another one
+ * @param {string} ancestor
+ * @param {string} descendant
+ * @returns {boolean}
+ */
+export function isAncestor(ancestor, descendant) {
+  try {
+    execSync(`git merge-base --is-ancestor ${ancestor} ${descendant}`, {
+      stdio: "ignore",
+    });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the commits that are themselves ports of a commit the target already has
+ * Picking them would send a change back to the repository it came from
+ * @param {string} range - e.g. "abc123..upstream/main"
+ * @param {string} targetRef
+ * @returns {Set<string>} - Full commit hashes
+ */
+function findReturningCommits(range, targetRef) {
+  const returning = new Set();
+  execSync(`git log --format=%H%x1f%B%x1e ${range}`, {
+    encoding: "utf-8",
+    maxBuffer: 1024 * 1024 * 64,
+  })
+    .split("\x1e")
+    .filter((record) => record.trim())
+    .forEach((record) => {
+      const [hash, message] = record.trim().split("\x1f");
+      const fromTarget = getOriginHashes(message).some((origin) => {
+        try {
+          const originHash = execSync(
+            `git rev-parse -q --verify ${origin}^{commit}`,
+            { encoding: "utf-8", stdio: ["ignore", "pipe", "ignore"] }
+          ).trim();
+          return isAncestor(originHash, targetRef);
+        } catch (error) {
+          // The original commit is unknown here, it did not come from the target
+          return false;
+        }
+      });
+      if (fromTarget) returning.add(hash);
+    });
+  return returning;
+}
+
+/**
+ * List the source commits newer than the watermark of a direction and whether the target has them
+ * The compared branches must be fetched already
+ * @param {Object} direction - See getSyncDirections
+ * @param {string} [from] - Source commit to start after, replacing the stored watermark
+ * @returns {Object} - The direction with its "watermark", the source "tip", every newer commit ("commits",
+ * oldest-first) with its status: "missing", "applied", "partial", "ported" or "skipped", and the hashes still to pick
+ * ("pending")
+ */
+export function planSync(direction, from) {
+  const { key, sourceRef, targetRef } = direction;
+  const stored = loadSyncState().pairs[key] || { watermark: null, skipped: [] };
+
+  let watermark = stored.watermark;
+  if (from) {
+    try {
+      watermark = execSync(`git rev-parse --verify ${from}^{commit}`, {
+        encoding: "utf-8",
+        stdio: ["ignore", "pipe", "ignore"],
+      }).trim();
+    } catch (error) {
+      throw new InputError(`Commit "${from}" could not be found.`);
+    }
+  }
+  if (!watermark) {
+    throw new InputError(
+      `${key} was never synced. Pass "${direction.startOption} <commit>" with the last ${direction.sourceBranch} commit that ${direction.targetBranch} already has.`
+    );
+  }
+
+  const tip = execSync(`git rev-parse ${sourceRef}`, {
+    encoding: "utf-8",
+  }).trim();
+  if (!isAncestor(watermark, tip)) {
+    throw new CrcpError(
+      `The sync watermark ${watermark.slice(
+        0,
+        8
+      )} of ${key} is not part of ${sourceRef} anymore. Pass "${
+        direction.startOption
+      } <commit>" to start over.`
+    );
+  }
+
+  // Merge commits are left out, their changes come with the merged commits
+  const hashes = execSync(
+    `git rev-list --reverse --no-merges ${watermark}..${tip}`,
+    { encoding: "utf-8", maxBuffer: 1024 * 1024 * 64 }
+  )
+    .trim()
+    .split("\n")
+    .filter(Boolean);
+  const statuses = hashes.length
+    ? getSyncStatuses(sourceRef, targetRef, watermark)
+    : new Map();
+  const returning = hashes.length
+    ? findReturningCommits(`${watermark}..${tip}`, targetRef)
+    : new Set();
+  const skipped = new Set(stored.skipped);
+
+  const commits = hashes.map((hash) => {
+    let status = statuses.get(hash) || "missing";
+    if (skipped.has(hash)) status = "skipped";
+    else if (status === "missing" && returning.has(hash)) status = "ported";
+    return { hash, subject: getCommitSubject(hash), status };
+  });
+  return {
+    ...direction,
+    watermark,
+    tip,
+    commits,
+    pending: commits
+      .filter(({ status }) => status === "missing")
+      .map(({ hash }) => hash),
+  };
+}
+
+/**
+ * Move the watermark of a direction to the source commit a sync reached
+ * Commits dropped with 'crcp skip' during the sync are remembered as skipped
+ * @param {{key: string, tip: string, sourceRepo: string, sourceBranch: string, targetBranch: string}} plan
+ * - See planSync
+ * @param {Array<{hash: string, status: string}>} [results] - Results of the synced commits
+ * @returns {Object} - The stored state
+ */
+export function advanceSyncWatermark(plan, results = []) {
+  const stored = updateSyncPair(plan, (current) => ({
+    ...current,
+    watermark: plan.tip,
+    skipped: [
+      ...new Set([
+        ...current.skipped,
+        ...results
+          .filter(({ status }) => status === "skipped")
+          .map(({ hash }) => hash),
+      ]),
+    ],
+  }));
+  console.log(chalk.green(`Synced ${plan.key} up to ${plan.tip.slice(0, 8)}.`));
+  return stored;
+}
+
+/**
+ * Mark source commits as intentionally skipped by the sync of a direction, or pick them again
+ * @param {Object} direction - See getSyncDirections
+ * @param {string[]} hashes - Full commit hashes
+ * @param {boolean} [skipped] - false to pick the commits again (default true)
+ * @returns {Object} - The stored state
+ */
+export function setSyncSkipped(direction, hashes, skipped = true) {
+  return updateSyncPair(direction, (current) => ({
+    ...current,
+    skipped: skipped
+      ? [...new Set([...current.skipped, ...hashes])]
+      : current.skipped.filter((hash) => !hashes.includes(hash)),
+  }));
+}
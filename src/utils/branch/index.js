@@ -1,5 +1,8 @@
-import { execSync } from "child_process";
+import { execSync, spawnSync } from "child_process";
 import chalk from "chalk";
+import { matchGlob } from "../common/index.js";
+import { CrcpError, InputError } from "../error/index.js";
+import { getBranchWorktree, getWorkDir } from "../worktree/index.js";
 
 /**
  * Check branch exists
@@ -16,8 +19,7 @@ function handleBranchExists(branchName) {
     });
     return branches.trim() !== "";
   } catch (error) {
-    console.error("Failed to check if branch exists.");
-    process.exit(1);
+    throw new CrcpError("Failed to check if branch exists.");
   }
 }
 
@@ -34,10 +36,9 @@ function handleDeleteBranch(branchName) {
       )
     );
   } catch (error) {
-    console.error(
-      chalk.red(`Cleaning up temporary branch - "${branchName}" failed .`)
+    throw new CrcpError(
+      `Cleaning up temporary branch - "${branchName}" failed .`
     );
-    process.exit(1);
   }
 }
 
@@ -54,43 +55,194 @@ function createTemporaryBranch(branchName, sourceBranch) {
     }
 
     // Create a new branch
-    execSync(`git checkout -b ${branchName} ${sourceBranch}`);
+    execSync(`git checkout -b ${branchName} ${sourceBranch}`, {
+      cwd: getWorkDir(),
+    });
     console.log(
       `Create and switch to a new temporary branch - "${branchName}".`
     );
     console.log();
   } catch (error) {
-    console.error(
-      chalk.red(
-        `Failed to create and switch to a new temporary branch - "${branchName}". ${error.message}`
-      )
+    throw new CrcpError(
+      `Failed to create and switch to a new temporary branch - "${branchName}". ${error.message}`
     );
-    process.exit(1);
   }
 }
 
+/**
+ * Remove the temporary branch once the pick is finished
+ * @param {string} branchName
+ */
+function deleteTemporaryBranch(branchName) {
+  if (handleBranchExists(branchName)) {
+    handleDeleteBranch(branchName);
+  }
+}
+
+/**
+ * Get the currently checked out branch
+ * @returns {string} - Branch name, or the commit hash when HEAD is detached
+ */
+function getCurrentBranch() {
+  const branchName = execSync("git rev-parse --abbrev-ref HEAD", {
+    encoding: "utf-8",
+  }).trim();
+  if (branchName !== "HEAD") return branchName;
+  return execSync("git rev-parse HEAD", { encoding: "utf-8" }).trim();
+}
+
+/**
+ * Get the ref the target branch would start from, without creating it
+ * Both the dry run and switchTargetBranch start a new branch from here
+ * @param {string} targetBranch
+ * @returns {string} - The local branch, its remote-tracking branch or HEAD for a new branch
+ */
+function resolveTargetRef(targetBranch) {
+  const candidates = [
+    `refs/heads/${targetBranch}`,
+    `refs/remotes/origin/${targetBranch}`,
+  ];
+  const existing = candidates.find((ref) => {
+    try {
+      execSync(`git rev-parse -q --verify ${ref}`, { stdio: "ignore" });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+  return existing || "HEAD";
+}
+
 /**
  * Switch to the target branch.
  * Check whether the target branch already exists in the current project.
  * If so, switch to the target branch and execute cherry - pick.Otherwise, create a new branch and execute cherry - pick.
  * @param {string} targetBranch
+ * @param {string} [startPoint] - Commit a new target branch starts from, see resolveTargetRef (default HEAD)
+ * @returns {boolean} - Whether the target branch was created
  */
-function switchTargetBranch(targetBranch) {
+function switchTargetBranch(targetBranch, startPoint = "HEAD") {
   if (handleBranchExists(targetBranch)) {
     console.log(
       `The target branch already exists, switch to the target branch - "${targetBranch}"...`
     );
-    execSync(`git checkout ${targetBranch}`);
+    execSync(`git checkout ${targetBranch}`, { cwd: getWorkDir() });
     console.log();
+    return false;
   } else {
     console.log(
       `Target branch does not exist, create and switch to the target branch - "${targetBranch}"...`
     );
-    // Create a target branch and associate it with a remote branch
-    execSync(`git checkout -b ${targetBranch}`);
-    execSync(`git push -u origin ${targetBranch}`);
+    // The branch only reaches origin once the picks are pushed
+    execSync(`git checkout -b ${targetBranch} ${startPoint}`, {
+      cwd: getWorkDir(),
+    });
     console.log();
+    return true;
+  }
+}
+
+/**
+ * Detach HEAD at the target branch, or where a new target branch would start
+ * Picks in a worktree are made on a detached HEAD, the target branch may be checked out in another worktree
+ * and only moves once the picks are done, see moveBranch
+ * @param {string} targetBranch
+ * @param {string} [startPoint] - Commit a new target branch starts from, see resolveTargetRef (default HEAD)
+ * @returns {boolean} - Whether the target branch is still to be created
+ */
+function detachAtTargetBranch(targetBranch, startPoint = "HEAD") {
+  const exists = handleBranchExists(targetBranch);
+  console.log(
+    exists
+      ? `Detach HEAD at the target branch - "${targetBranch}"...`
+      : `Target branch does not exist, detach HEAD where it will start - "${targetBranch}"...`
+  );
+  execSync(
+    `git checkout -q --detach ${
+      exists ? `refs/heads/${targetBranch}` : startPoint
+    }`,
+    { cwd: getWorkDir() }
+  );
+  console.log();
+  return !exists;
+}
+
+/**
+ * Move a branch to another commit, failing when it is no longer where it was expected
+ * A branch checked out in a worktree is moved there with 'git reset --keep', which keeps the local changes
+ * and refuses to overwrite them
+ * @param {string} branchName
+ * @param {string|null} from - Commit the branch is expected at, null when it must not exist yet
+ * @param {string} to
+ */
+function moveBranch(branchName, from, to) {
+  const checkoutDir = getBranchWorktree(branchName);
+  let result;
+  if (checkoutDir) {
+    const head = execSync(`git rev-parse refs/heads/${branchName}`, {
+      encoding: "utf-8",
+    }).trim();
+    result =
+      head === from
+        ? spawnSync("git", ["reset", "-q", "--keep", to], {
+            cwd: checkoutDir,
+            encoding: "utf-8",
+          })
+        : { status: 1, stderr: `It moved to ${head.slice(0, 8)}.` };
+  } else {
+    // An empty old value makes sure the branch does not exist yet
+    result = spawnSync(
+      "git",
+      ["update-ref", `refs/heads/${branchName}`, to, from || ""],
+      { encoding: "utf-8" }
+    );
   }
+  if (result.status !== 0) {
+    throw new CrcpError(
+      `Failed to move "${branchName}" to ${to}. ${result.stderr}`
+    );
+  }
+}
+
+/**
+ * Expand the target of a pick into branch names
+ * The target is a branch name, a comma-separated list or a glob such as "release/*"
+ * matched against the local branches
+ * @param {string|string[]} [target] - e.g. "release/3.x,release/4.x,develop" or "release/*"
+ * @returns {string[]} - Branch names in the given order, without duplicates
+ */
+function resolveTargetBranches(target) {
+  const localBranches = () =>
+    execSync('git for-each-ref --format="%(refname:short)" refs/heads', {
+      encoding: "utf-8",
+    })
+      .split("\n")
+      .filter(Boolean);
+  const branches = []
+    .concat(target || [])
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .flatMap((pattern) => {
+      if (!/[*?]/.test(pattern)) return [pattern];
+      const matches = localBranches().filter((branch) =>
+        matchGlob(branch, pattern)
+      );
+      if (!matches.length) {
+        throw new InputError(`No local branch matches "${pattern}".`);
+      }
+      return matches;
+    });
+  return [...new Set(branches)];
 }
 
-export { createTemporaryBranch, switchTargetBranch };
+export {
+  createTemporaryBranch,
+  deleteTemporaryBranch,
+  getCurrentBranch,
+  resolveTargetRef,
+  resolveTargetBranches,
+  switchTargetBranch,
+  detachAtTargetBranch,
+  moveBranch,
+};
@@ -0,0 +1,234 @@
+import { execSync } from "child_process";
+import { InputError } from "../error/index.js";
+
+/**
+ * Split commit arguments into a list of commit specs
+ * Accepts a single string ("abc123", "abc123,def456", "A..B") or an array of them
+ * @param {string|string[]} input
+ * @returns {string[]} - List of commit hashes and ranges
+ */
+function parseCommitSpecs(input) {
+  const values = Array.isArray(input) ? input : [input];
+  return values
+    .filter((value) => typeof value === "string")
+    .flatMap((value) => value.split(/[\s,]+/))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Expand commit specs into full hashes, ordered oldest-first
+ * Ranges (A..B) are expanded with "git rev-list", single hashes are verified
+ * @param {string[]} specs
+ * @returns {string[]} - Full commit hashes, deduplicated and sorted oldest-first
+ */
+function resolveCommits(specs) {
+  const hashes = [];
+  specs.forEach((spec) => {
+    if (spec.includes("..")) {
+      const output = execSync(`git rev-list --reverse ${spec}`, {
+        encoding: "utf-8",
+      }).trim();
+      if (!output) {
+        throw new InputError(
+          `Commit range "${spec}" does not contain any commits.`
+        );
+      }
+      hashes.push(...output.split("\n"));
+    } else {
+      try {
+        const hash = execSync(`git rev-parse --verify ${spec}^{commit}`, {
+          encoding: "utf-8",
+          stdio: ["ignore", "pipe", "ignore"],
+        }).trim();
+        hashes.push(hash);
+      } catch (error) {
+        throw new InputError(`Commit "${spec}" could not be found.`);
+      }
+    }
+  });
+
+  const uniqueHashes = [...new Set(hashes)];
+  if (uniqueHashes.length < 2) return uniqueHashes;
+
+  // Walk the history of the picked commits to put ancestors before descendants
+  const wanted = new Set(uniqueHashes);
+  return execSync(
+    `git rev-list --topo-order --reverse ${uniqueHashes.join(" ")}`,
+    {
+      encoding: "utf-8",
+      maxBuffer: 1024 * 1024 * 64,
+    }
+  )
+    .trim()
+    .split("\n")
+    .filter((hash) => wanted.has(hash));
+}
+
+/**
+ * Get the parents of a commit
+ * @param {string} hash
+ * @returns {string[]} - Full parent hashes, in order; none for a root commit
+ */
+function getCommitParents(hash) {
+  return execSync(`git rev-list --parents -n 1 ${hash}`, {
+    encoding: "utf-8",
+  })
+    .trim()
+    .split(" ")
+    .slice(1);
+}
+
+/**
+ * Check whether a commit is a merge commit
+ * @param {string} hash
+ * @returns {boolean}
+ */
+function isMergeCommit(hash) {
+  return getCommitParents(hash).length > 1;
+}
+
+/**
+ * Prepare the merge commits of a pick list
+ * With "mainline" each merge is kept and picked as its diff against the mainline parent,
+ * with "replay" each merge is replaced by the commits it brought into its first parent, oldest-first
+ * @param {string[]} hashes - Full commit hashes, oldest-first
+ * @param {Object} [options]
+ * @param {string} [options.mergeMode] - "mainline" or "replay", required when the list holds a merge commit
+ * @param {number} [options.mainline] - Parent number the merges are diffed against (default 1)
+ * @returns {string[]} - Full commit hashes, deduplicated
+ */
+function expandMergeCommits(hashes, { mergeMode, mainline = 1 } = {}) {
+  const expanded = [];
+  hashes.forEach((hash) => {
+    const parents = getCommitParents(hash);
+    if (parents.length < 2) {
+      expanded.push(hash);
+      return;
+    }
+    if (!mergeMode) {
+      throw new InputError(
+        `Commit ${hash.slice(
+          0,
+          8
+        )} is a merge commit. Pass "--mainline <parent>" to pick it as one commit or "--replay-merges" to pick the commits it merged.`
+      );
+    }
+    if (mergeMode === "mainline") {
+      if (mainline > parents.length) {
+        throw new InputError(
+          `Merge commit ${hash.slice(0, 8)} has no parent ${mainline}, it has ${
+            parents.length
+          }.`
+        );
+      }
+      expanded.push(hash);
+      return;
+    }
+    // The commits of the merged branch, merges inside it bring nothing of their own
+    expanded.push(
+      ...execSync(
+        `git rev-list --reverse --topo-order --no-merges ${parents[0]}..${hash}`,
+        { encoding: "utf-8", maxBuffer: 1024 * 1024 * 64 }
+      )
+        .trim()
+        .split("\n")
+        .filter(Boolean)
+    );
+  });
+  return [...new Set(expanded)];
+}
+
+/**
+ * Get the subject line of a commit
+ * @param {string} hash
+ * @returns {string} - Commit subject
+ */
+function getCommitSubject(hash) {
+  return execSync(`git show -s --format=%s ${hash}`, {
+    encoding: "utf-8",
+  }).trim();
+}
+
+// "(cherry picked from commit …)" lines of 'git cherry-pick -x', "Cherry-picked-from: <repo>@<hash>"
+// and "Partially-ported-from: <repo>@<hash>" trailers
+const PROVENANCE_PATTERN =
+  /(?:\(cherry picked from commit |(?:Cherry-picked-from|Partially-ported-from): \S*@)([0-9a-f]{7,40})/g;
+
+/**
+ * Get the commits a message says it was picked from
+ * @param {string} message
+ * @returns {string[]} - Possibly abbreviated commit hashes
+ */
+function getOriginHashes(message) {
+  return [...message.matchAll(PROVENANCE_PATTERN)].map(([, hash]) => hash);
+}
+
+/**
+ * Find out which source commits the target already has
+ * A commit is "applied" when the target contains it or an equivalent patch (git patch-id),
+ * "partial" when only a "(cherry picked from commit …)", "Cherry-picked-from:" or "Partially-ported-from:"
+ * trailer refers to it,
+ * and "missing" otherwise
+ * @param {string} sourceRef - e.g. "upstream/main"
+ * @param {string} [targetRef] - Defaults to the current HEAD
+ * @param {string} [limit] - Only look at the source commits after this one, to bound large histories
+ * @returns {Map<string, string>} - Full commit hash => status, for every commit of the source ref
+ */
+function getSyncStatuses(sourceRef, targetRef = "HEAD", limit = "") {
+  const options = { encoding: "utf-8", maxBuffer: 1024 * 1024 * 64 };
+  const statuses = new Map();
+
+  // Commits reachable from the target are applied, "git cherry" lists the others
+  execSync(`git rev-list ${sourceRef}${limit ? ` ^${limit}` : ""}`, options)
+    .trim()
+    .split("\n")
+    .filter(Boolean)
+    .forEach((hash) => statuses.set(hash, "applied"));
+  execSync(`git cherry ${targetRef} ${sourceRef} ${limit}`, options)
+    .trim()
+    .split("\n")
+    .filter(Boolean)
+    .forEach((line) => {
+      const [mark, hash] = line.split(" ");
+      statuses.set(hash, mark === "-" ? "applied" : "missing");
+    });
+  // "git cherry" leaves out merge commits, they are applied only when the target contains them
+  execSync(
+    `git rev-list --merges ${sourceRef} ^${targetRef}${
+      limit ? ` ^${limit}` : ""
+    }`,
+    options
+  )
+    .trim()
+    .split("\n")
+    .filter(Boolean)
+    .forEach((hash) => statuses.set(hash, "missing"));
+
+  // Commits ported with changes only match through their provenance trailer
+  getOriginHashes(
+    execSync(
+      `git log ${targetRef} -E --grep="cherry picked from commit|Cherry-picked-from:|Partially-ported-from:" --format=%B`,
+      options
+    )
+  ).forEach((referencedHash) => {
+    statuses.forEach((status, hash) => {
+      if (status === "missing" && hash.startsWith(referencedHash)) {
+        statuses.set(hash, "partial");
+      }
+    });
+  });
+
+  return statuses;
+}
+
+export {
+  parseCommitSpecs,
+  resolveCommits,
+  getCommitSubject,
+  getCommitParents,
+  isMergeCommit,
+  expandMergeCommits,
+  getOriginHashes,
+  getSyncStatuses,
+};
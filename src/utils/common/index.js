@@ -1,6 +1,7 @@
 import { exec, spawn } from "child_process";
 import chalk from "chalk";
 import fs from "fs";
+import { InputError } from "../error/index.js";
 
 /**
  * Standardize Git repository URLs to a unified HTTPS format
@@ -8,28 +9,22 @@ import fs from "fs";
  * @returns {string} - Standardized URLs
  */
 function normalizeUrl(url) {
-  try {
-    const sshPattern = /^git@([^:]+):([^/]+)\/(.+)\.git$/;
-    const httpsPattern = /^https?:\/\/([^/]+)\/([^/]+)\/(.+)\.git$/;
-
-    let matchResult;
-    if ((matchResult = url.match(sshPattern))) {
-      // If it is an SSH format URL (such as git@gitlab.com:user/repo.git)
-      const [, host, user, repo] = matchResult;
-      return `https://${host}/${user}/${repo}.git`;
-    } else if ((matchResult = url.match(httpsPattern))) {
-      // If it is an HTTPS URL (such as https://gitlab.com/user/repo.git)
-      const [, host, user, repo] = matchResult;
-      return `https://${host}/${user}/${repo}.git`;
-    } else {
-      throw new Error(
-        "The URL does not conform to the specified format. Please check and try again."
-      );
-    }
-  } catch (error) {
-    console.error(chalk.red(`Error standardizing URL: ${error.message}`));
-    process.exit(1);
+  const sshPattern = /^git@([^:]+):([^/]+)\/(.+)\.git$/;
+  const httpsPattern = /^https?:\/\/([^/]+)\/([^/]+)\/(.+)\.git$/;
+
+  let matchResult;
+  if ((matchResult = url.match(sshPattern))) {
+    // If it is an SSH format URL (such as git@gitlab.com:user/repo.git)
+    const [, host, user, repo] = matchResult;
+    return `https://${host}/${user}/${repo}.git`;
+  } else if ((matchResult = url.match(httpsPattern))) {
+    // If it is an HTTPS URL (such as https://gitlab.com/user/repo.git)
+    const [, host, user, repo] = matchResult;
+    return `https://${host}/${user}/${repo}.git`;
   }
+  throw new InputError(
+    "Error standardizing URL: The URL does not conform to the specified format. Please check and try again."
+  );
 }
 
 // Define loading animation function
@@ -38,7 +33,7 @@ function showLoading(loadingContext) {
   const loadingSymbols = ["|", "/", "-", "\\"];
   let i = 0;
   return setInterval(() => {
-    process.stdout.write(
+    process.stderr.write(
       `\r${loadingSymbols[i++ % loadingSymbols.length]} ${loadingText}`
     );
   }, 250); // 每 250 毫秒切换一次符号
@@ -46,9 +41,9 @@ function showLoading(loadingContext) {
 
 // 清除加载动画行的函数
 function clearLoadingLine() {
-  process.stdout.write("\r"); // 回到行首
-  process.stdout.write(" ".repeat(50)); // 覆盖整个行，保证清除任何残留的文本
-  process.stdout.write("\r"); // 再次回到行首，准备新输出
+  process.stderr.write("\r"); // 回到行首
+  process.stderr.write(" ".repeat(50)); // 覆盖整个行，保证清除任何残留的文本
+  process.stderr.write("\r"); // 再次回到行首，准备新输出
 }
 
 // spawn command execution function
@@ -93,154 +88,39 @@ function runCommand(command, args, loadingContext) {
 }
 
 /**
- * Get the commit record of the remote branch
- * @param {string} remoteName
- * @param {string} branch
- * @returns {Promise} - Promise object represents the commit record
+ * Check whether a path matches a glob pattern
+ * Supports "**" (any number of directories), "*" and "?" (within one path segment)
+ * @param {string} filePath
+ * @param {string} pattern - e.g. "src/**\/*.js"
+ * @returns {boolean}
  */
-async function getCommits(remoteName, branch) {
-  try {
-    // Step 1: Run git fetch
-    await runCommand(
-      "git",
-      ["fetch", remoteName, branch],
-      `Fetching branch ${branch} from remote ${remoteName}...`
-    );
-
-    // Step 2: Run git log after fetch succeeds
-    const logOutput = await runCommand(
-      "git",
-      [
-        "log",
-        `${remoteName}/${branch}`,
-        "--pretty=format:%ad %an > %s - %h",
-        "--date=format:%Y-%m-%d %H:%M:%S",
-      ],
-      `Fetching commit records from branch ${branch}...`
-    );
-
-    // Step 3: Process the log output
-    const commits = logOutput.split("\n").map((line, index) => {
-      const [message, ...rest] = line.split(" - ");
-      const hash = rest.join(" - ");
-      const formattedMessage = index === 0 ? chalk.green(message) : message;
-      return {
-        name: `${formattedMessage} (${hash})`,
-        value: hash.trim(),
-      };
-    });
-
-    return commits;
-  } catch (error) {
-    console.error("Error:", error.message);
-    throw new Error("An error occurred during the Git process.");
-  }
+function matchGlob(filePath, pattern) {
+  const source = pattern
+    .split(/(\*\*\/|\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === "**/") return "(?:.*/)?";
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`).test(filePath);
 }
-// function getCommits(remoteName, branch) {
-//   return new Promise((resolve, reject) => {
-//     const gitProcess = spawn("git", [
-//       "fetch",
-//       remoteName,
-//       branch,
-//       "&&",
-//       "git",
-//       "log",
-//       `${remoteName}/${branch}`,
-//       "--pretty=format:%ad %an > %s - %h",
-//       "--date=format:%Y-%m-%d %H:%M:%S",
-//     ]);
-//     console.log("哈哈哈哈哈哈");
-//     let stdout = "";
-//     let stderr = "";
-//     gitProcess.stdout.on("data", (data) => {
-//       console.log("stdout data", data);
-//       stdout += data.toString();
-//     });
-//     gitProcess.stderr.on("data", (data) => {
-//       console.log("stderr data", data);
-//       stderr += data.toString();
-//     });
-//     gitProcess.on("close", (code) => {
-//       console.log("close code", code);
-//       if (code !== 0) {
-//         reject(
-//           new Error(
-//             `Pulling commits from branch "${branch}" failed. Please check the branch.`
-//           )
-//         );
-//         return;
-//       }
-//       try {
-//         const commits = stdout.split("\n").map((line, index) => {
-//           const [message, ...rest] = line.split(" - ");
-//           const hash = rest.join(" - ");
-//           const formattedMessage = index === 0 ? chalk.green(message) : message;
-//           return {
-//             name: `${formattedMessage} (${hash})`,
-//             value: hash.trim(),
-//           };
-//         });
-//         resolve(commits);
-//       } catch (error) {
-//         reject(new Error("An error occurred while parsing the commit record."));
-//       }
-//     });
-//     gitProcess.on("error", (error) => {
-//       reject(
-//         new Error(`An error occurred while fetching commits: ${error.message}`)
-//       );
-//     });
-//   });
-// return new Promise((resolve, reject) => {
-//   exec(
-//     `git fetch ${remoteName} ${branch} && git log ${remoteName}/${branch} --pretty=format:"%ad %an > %s - %h" --date=format:'%Y-%m-%d %H:%M:%S'`,
-//     (error, stdout) => {
-//       console.log("执行命令");
-//       if (error) {
-//         console.log("进入error");
-//         reject(
-//           new Error(
-//             `Pulling commits from branch "${branch}" failed. Please check the branch.`
-//           )
-//         );
-//       }
-//       try {
-//         // Parse git log output and decompose it into an array of commit record objects
-//         const commits = stdout.split("\n").map((line, index) => {
-//           const [message, ...rest] = line.split(" - ");
-//           const hash = rest.join(" - ");
-//           const formattedMessage =
-//             index === 0 ? chalk.green(message) : message;
-//           return {
-//             name: `${formattedMessage} (${hash})`,
-//             value: hash.trim(),
-//           };
-//         });
-//         resolve(commits);
-//       } catch (error) {
-//         reject(
-//           new Error("An error occurred while parsing the commit record.")
-//         );
-//       }
-//       // resolve(commits);
-//     }
-//   );
-// });
-// }
 
 /**
  * Print confirmation information
  * @param {string} repoName
  * @param {string} sourceRepo
  * @param {string} sourceBranch
- * @param {string} commitHash
+ * @param {string[]} commits
  * @param {string} targetBranch
  */
 function printConfirmationInfo(
   repoName,
   sourceRepo,
   sourceBranch,
-  commitHash,
+  commits,
   targetBranch
 ) {
   // Confirmation Information list
@@ -258,8 +138,8 @@ function printConfirmationInfo(
       Value: chalk.yellow(sourceBranch),
     },
     {
-      "Confirmation Item": "Source commit hash",
-      Value: chalk.yellow(commitHash),
+      "Confirmation Item": "Source commits    ",
+      Value: chalk.yellow(commits.join(", ")),
     },
     {
       "Confirmation Item": "Target branch     ",
@@ -275,6 +155,445 @@ function printConfirmationInfo(
   console.log();
 }
 
+/**
+ * Print the result of each hook command, with the end of the output of the failed ones
+ * @param {Array<{hook: string, command: string, ok: boolean, exitCode: number, duration: number, output: string}>} hooks
+ */
+function printHookSummary(hooks) {
+  console.log();
+  console.log(chalk.bold("Hooks"));
+  console.log("----------------------------");
+  hooks.forEach(({ hook, command, ok, exitCode, duration, output }) => {
+    console.log(
+      `${
+        ok ? chalk.green("passed") : chalk.red("failed")
+      }  ${hook}  ${command}  ${chalk.gray(
+        `(${ok ? "" : `exit code ${exitCode}, `}${(duration / 1000).toFixed(
+          1
+        )}s)`
+      )}`
+    );
+    if (!ok && output) {
+      output
+        .split("\n")
+        .slice(-20)
+        .forEach((line) => console.log(chalk.gray(`    ${line}`)));
+    }
+  });
+  console.log();
+}
+
+/**
+ * Print the result of each picked commit, with the strategies tried when a fallback was needed
+ * @param {Array<{hash: string, subject: string, status: string}>} results
+ */
+function printPickSummary(results) {
+  const statusLabels = {
+    applied: chalk.green("applied"),
+    empty: chalk.gray("empty"),
+    conflict: chalk.red("conflict"),
+    unmapped: chalk.red("unmapped paths"),
+    skipped: chalk.gray("skipped"),
+    pending: chalk.yellow("not attempted"),
+    undone: chalk.gray("undone"),
+  };
+
+  console.log();
+  console.log(chalk.bold("Cherry-pick summary"));
+  console.log("----------------------------");
+  results.forEach(({ hash, subject, status, leftOut, strategy, attempts }) => {
+    const partial =
+      status === "applied" && leftOut ? chalk.yellow(" (partial)") : "";
+    const fallback = strategy ? chalk.cyan(` (${strategy})`) : "";
+    console.log(
+      `${hash.slice(0, 8)}  ${
+        statusLabels[status] || status
+      }${partial}${fallback}  ${subject}`
+    );
+    (attempts || []).forEach((attempt) => {
+      const label = attempt.reason ? chalk.red("failed") : chalk.green("ok");
+      console.log(
+        `    ${label}  ${attempt.strategy}${
+          attempt.reason ? chalk.gray(`: ${attempt.reason}`) : ""
+        }`
+      );
+    });
+  });
+  console.log();
+}
+
+/**
+ * Print the result of each target branch of a pick onto several branches
+ * @param {Array<Object>} branches - See fanOutPick
+ */
+function printFanOutReport(branches) {
+  const statusColors = {
+    clean: chalk.green,
+    conflict: chalk.red,
+    failed: chalk.red,
+  };
+  const width = Math.max(
+    ...branches.map(({ targetBranch }) => targetBranch.length)
+  );
+
+  console.log();
+  console.log(chalk.bold("Target branches"));
+  console.log("----------------------------");
+  branches.forEach(
+    ({
+      targetBranch,
+      status,
+      applied = [],
+      pushed = [],
+      conflictedFiles = [],
+      error,
+    }) => {
+      const details = [
+        `${applied.length} applied`,
+        pushed.length ? `pushed to ${pushed.join(", ")}` : "not pushed",
+      ];
+      if (conflictedFiles.length) {
+        details.push(
+          `conflicts in ${conflictedFiles.map(({ path }) => path).join(", ")}`
+        );
+      } else if (error) {
+        details.push(error.message);
+      }
+      console.log(
+        `${targetBranch.padEnd(width)}  ${statusColors[status](
+          status.padEnd(8)
+        )}  ${details.join(", ")}`
+      );
+    }
+  );
+  console.log();
+}
+
+/**
+ * Print the files a pick left conflicted
+ * @param {{commit: string, subject?: string, files: Array<Object>}} report - See getSessionConflicts
+ */
+function printConflictReport({ commit, subject, files }) {
+  console.log(
+    chalk.bold(
+      `Conflicts of ${commit.slice(0, 8)}${subject ? ` ${subject}` : ""}`
+    )
+  );
+  console.log("----------------------------");
+  if (!files.length) {
+    console.log(chalk.green("Every conflict is resolved."));
+  }
+  files.forEach(({ path, type, detail, hunks, intent }) => {
+    console.log(
+      `${chalk.red(type.padEnd(13))}  ${path}${
+        hunks
+          ? chalk.gray(
+              ` (${hunks} ${
+                type === "rejected" ? "rejected" : "conflicting"
+              } hunk(s))`
+            )
+          : ""
+      }`
+    );
+    console.log(chalk.gray(`    ${detail}`));
+    console.log(chalk.gray(`    The source commit ${intent}.`));
+  });
+  console.log();
+}
+
+/**
+ * Print the predicted result of each commit and file of a dry run
+ * @param {string} targetRef
+ * @param {Array<{hash: string, subject: string, status: string, files: Array<Object>}>} predictions
+ */
+function printDryRunReport(targetRef, predictions) {
+  const statusLabels = {
+    clean: chalk.green("clean"),
+    empty: chalk.gray("empty"),
+    conflict: chalk.red("conflict"),
+    missing: chalk.yellow("missing"),
+    unmapped: chalk.red("unmapped"),
+    dropped: chalk.gray("dropped"),
+    excluded: chalk.gray("excluded"),
+  };
+
+  console.log();
+  console.log(chalk.bold(`Dry run onto ${targetRef} (nothing was changed)`));
+  console.log("----------------------------");
+  predictions.forEach(({ hash, subject, status, files }) => {
+    console.log(
+      `${hash.slice(0, 8)}  ${statusLabels[status] || status}  ${subject}`
+    );
+    files.forEach(({ path, status: fileStatus }) => {
+      console.log(`    ${statusLabels[fileStatus] || fileStatus}  ${path}`);
+    });
+  });
+  console.log();
+}
+
+/**
+ * Print what a push would do before it happens
+ * @param {Object} report - Result of inspectPush
+ */
+function printPushReport(report) {
+  const shortHash = (hash) => (hash ? hash.slice(0, 8) : "(none)");
+  console.log();
+  console.log(chalk.bold("Push report"));
+  console.log("----------------------------");
+  console.log(`Policy        |  ${chalk.yellow(report.policy)}`);
+  console.log(
+    `Push          |  ${report.source} ${shortHash(report.localHead)} -> ${
+      report.remote
+    }/${report.destination} ${shortHash(report.remoteHead)}`
+  );
+  if (report.policy === "force-with-lease") {
+    console.log(
+      `Expected head |  ${shortHash(report.expectedRemoteHead)} (lease)`
+    );
+  }
+  console.log(
+    `Divergence    |  ${
+      report.remoteHead
+        ? `${report.ahead} ahead, ${report.behind} behind ${report.remote}`
+        : `new branch on ${report.remote}`
+    }`
+  );
+  console.log(
+    `Result        |  ${
+      report.allowed ? chalk.green("allowed") : chalk.red(report.reason)
+    }`
+  );
+  console.log();
+}
+
+/**
+ * Print the past runs recorded in the journal, newest-first
+ * @param {Array<Object>} runs - See getRunHistory
+ */
+function printRunHistory(runs) {
+  const outcomeLabels = {
+    success: chalk.green("success"),
+    conflict: chalk.red("stopped on conflict"),
+    failed: chalk.red("failed"),
+    aborted: chalk.gray("aborted"),
+    undone: chalk.gray("undone"),
+  };
+
+  console.log();
+  console.log(chalk.bold("crcp history"));
+  console.log("----------------------------");
+  if (!runs.length) {
+    console.log(chalk.gray("No runs recorded yet."));
+  }
+  [...runs].reverse().forEach((run) => {
+    const applied = run.commits.filter(({ status }) => status === "applied");
+    console.log(
+      `${chalk.cyan(run.runId)}  ${run.date}  ${
+        outcomeLabels[run.outcome] || run.outcome
+      }`
+    );
+    console.log(
+      `    ${run.sourceRepo} ${run.sourceBranch} -> ${run.targetBranch}`
+    );
+    console.log(
+      `    ${applied.length}/${
+        run.commits.length
+      } commit(s) applied: ${run.commits
+        .map(({ hash }) => hash.slice(0, 8))
+        .join(", ")}`
+    );
+    [...run.refs, ...run.remoteRefs].forEach((change) => {
+      const shortHash = (hash) => (hash ? hash.slice(0, 8) : "(none)");
+      console.log(
+        chalk.gray(
+          `    ${change.remote ? `${change.remote} ` : ""}${
+            change.ref
+          } ${shortHash(change.old)} -> ${shortHash(change.new)}`
+        )
+      );
+    });
+  });
+  console.log();
+}
+
+/**
+ * Print every line changed by the substitution rules, grouped by file
+ * @param {Array<{path: string, before: string, after: string}>} changes
+ */
+function printSubstitutionPreview(changes) {
+  if (!changes.length) return;
+
+  console.log(chalk.bold(`Substitutions (${changes.length} line(s))`));
+  let lastPath = "";
+  changes.forEach(({ path, before, after }) => {
+    if (path !== lastPath) {
+      console.log(chalk.cyan(path));
+      lastPath = path;
+    }
+    console.log(`  ${chalk.gray("was")} ${chalk.red(before)}`);
+    console.log(`  ${chalk.gray("now")} ${chalk.green(after)}`);
+  });
+  console.log();
+}
+
+/**
+ * Print the commits of a source branch with whether the target has them, newest-first
+ * @param {string} sourceBranch
+ * @param {{commits: Array<Object>, hasMore: boolean}} listing - See listCommits
+ */
+function printCommitList(sourceBranch, { commits, hasMore }) {
+  const statusLabels = {
+    applied: chalk.gray("applied"),
+    partial: chalk.yellow("partial"),
+    missing: chalk.cyan("missing"),
+  };
+
+  console.log();
+  console.log(chalk.bold(`Commits of ${sourceBranch}`));
+  console.log("----------------------------");
+  if (!commits.length) {
+    console.log(chalk.gray("No commits to list."));
+  }
+  commits.forEach(({ shortHash, date, author, subject, status, merge }) => {
+    console.log(
+      `${shortHash}  ${statusLabels[status] || status}  ${
+        merge ? `${chalk.magenta("merge")}  ` : ""
+      }${date} ${author} > ${subject}`
+    );
+  });
+  if (hasMore) {
+    console.log(
+      chalk.gray(
+        'Older commits exist, narrow them with "--max-count" or the filters.'
+      )
+    );
+  }
+  console.log();
+}
+
+/**
+ * Print the commits a sync is about to pick
+ * @param {Object} plan - See planSync
+ */
+function printSyncPlan(plan) {
+  const statusLabels = {
+    missing: chalk.cyan("to pick"),
+    applied: chalk.gray("already applied"),
+    partial: chalk.gray("already ported"),
+    ported: chalk.gray("came from the target"),
+    skipped: chalk.yellow("skipped"),
+  };
+
+  console.log();
+  console.log(
+    chalk.bold(
+      `Sync ${plan.key} from ${plan.watermark.slice(0, 8)} to ${plan.tip.slice(
+        0,
+        8
+      )}`
+    )
+  );
+  console.log("----------------------------");
+  if (!plan.commits.length) {
+    console.log(chalk.gray("No new commits."));
+  }
+  plan.commits.forEach(({ hash, subject, status }) => {
+    console.log(
+      `${hash.slice(0, 8)}  ${statusLabels[status] || status}  ${subject}`
+    );
+  });
+  console.log();
+}
+
+/**
+ * Print the commits only in the source, only in the target and in both branches of a divergence report
+ * @param {Object} report - See buildDivergenceReport
+ */
+function printDivergenceReport(report) {
+  const printCommit = ({ shortHash, date, author, subject }) => {
+    console.log(`${shortHash}  ${date}  ${author} > ${subject}`);
+  };
+  const printSection = (title, commits, printRow) => {
+    console.log(chalk.bold(`${title} (${commits.length})`));
+    if (!commits.length) {
+      console.log(chalk.gray("None."));
+    }
+    commits.forEach(printRow);
+    console.log();
+  };
+
+  console.log();
+  console.log(
+    chalk.bold(`Divergence of ${report.sourceRef} and ${report.targetRef}`)
+  );
+  if (report.paths.length) {
+    console.log(`Paths: ${report.paths.join(", ")}`);
+  }
+  console.log("----------------------------");
+  printSection(chalk.cyan("Only in source"), report.onlySource, printCommit);
+  printSection(chalk.yellow("Only in target"), report.onlyTarget, printCommit);
+  printSection(
+    chalk.green("In both"),
+    report.both,
+    ({ source, target, matchedBy }) => {
+      console.log(
+        `${source.shortHash} = ${target.shortHash}  ${chalk.gray(matchedBy)}  ${
+          source.subject
+        }`
+      );
+    }
+  );
+}
+
+/**
+ * Print the session in progress and the last recorded run
+ * @param {{session: Object|null, lastRun: Object|null}} status - See getStatus
+ */
+function printStatus({ session, lastRun }) {
+  console.log();
+  console.log(chalk.bold("crcp status"));
+  console.log("----------------------------");
+  if (!session) {
+    console.log(chalk.gray("No crcp session in progress."));
+  } else {
+    console.log(
+      `Session       |  ${session.sourceRepo} ${session.sourceBranch} -> ${session.targetBranch}`
+    );
+    if (session.worktree) {
+      console.log(`Worktree      |  ${session.worktree}`);
+    }
+    if (session.current) {
+      console.log(
+        `Stopped at    |  ${chalk.red(session.current.slice(0, 8))}${
+          session.conflictedFiles.length
+            ? ` (${session.conflictedFiles.join(", ")})`
+            : ""
+        }`
+      );
+    }
+    printPickSummary(session.results);
+    if (session.conflicts.length) {
+      printConflictReport({
+        commit: session.current,
+        files: session.conflicts,
+      });
+    }
+    console.log(
+      `Run ${chalk.cyan("crcp resolve")}, ${chalk.cyan(
+        "crcp continue"
+      )}, ${chalk.cyan("crcp skip")} or ${chalk.cyan("crcp abort")}.`
+    );
+  }
+  if (lastRun) {
+    console.log(
+      `Last run      |  ${chalk.cyan(lastRun.runId)} ${lastRun.date} ${
+        lastRun.outcome
+      } (${lastRun.sourceBranch} -> ${lastRun.targetBranch})`
+    );
+  }
+  console.log();
+}
+
 /**
  * Load configuration file
  * @param {*} configFilePath
@@ -292,18 +611,35 @@ function loadConfigFile(configFilePath) {
 
     // Parsing configuration file contents
     const config = JSON.parse(configContent);
-    console.log(chalk.green("Successfully loaded the configuration file: "));
-    console.log(config);
+    console.log(
+      chalk.green(
+        `Successfully loaded the configuration file: ${configFilePath}`
+      )
+    );
     return config;
   } catch (error) {
-    console.error(
-      chalk.red(
-        "An error occurred while reading or parsing the configuration file: "
-      ),
-      error
+    throw new InputError(
+      `An error occurred while reading or parsing the configuration file ${configFilePath}: ${error.message}`
     );
-    return null;
   }
 }
 
-export { normalizeUrl, getCommits, printConfirmationInfo, loadConfigFile };
+export {
+  normalizeUrl,
+  matchGlob,
+  runCommand,
+  printConfirmationInfo,
+  printPickSummary,
+  printHookSummary,
+  printConflictReport,
+  printFanOutReport,
+  printDryRunReport,
+  printPushReport,
+  printRunHistory,
+  printCommitList,
+  printSyncPlan,
+  printDivergenceReport,
+  printStatus,
+  printSubstitutionPreview,
+  loadConfigFile,
+};
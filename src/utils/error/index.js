@@ -0,0 +1,103 @@
+/**
+ * Process exit codes, one per failure category
+ * @type {Object}
+ */
+const EXIT_CODES = {
+  GENERAL: 1,
+  BAD_INPUT: 2,
+  FETCH_FAILED: 3,
+  CONFLICT: 4,
+  PUSH_REJECTED: 5,
+  HOOK_FAILED: 6,
+};
+
+/**
+ * Base error of crcp, carrying the exit code of its category
+ */
+class CrcpError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [exitCode]
+   */
+  constructor(message, exitCode = EXIT_CODES.GENERAL) {
+    super(message);
+    this.name = this.constructor.name;
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Missing or invalid arguments and configuration
+ */
+class InputError extends CrcpError {
+  constructor(message) {
+    super(message, EXIT_CODES.BAD_INPUT);
+  }
+}
+
+/**
+ * The source repository could not be fetched
+ */
+class FetchError extends CrcpError {
+  constructor(message) {
+    super(message, EXIT_CODES.FETCH_FAILED);
+  }
+}
+
+/**
+ * A pick stopped and needs to be resolved by hand
+ */
+class ConflictError extends CrcpError {
+  /**
+   * @param {string} message
+   * @param {Array<Object>} [results] - Per-commit results at the time of the stop
+   * @param {Array<Object>} [conflictedFiles] - Files left conflicted, see getConflictReport
+   */
+  constructor(message, results = [], conflictedFiles = []) {
+    super(message, EXIT_CODES.CONFLICT);
+    this.results = results;
+    this.conflictedFiles = conflictedFiles;
+  }
+}
+
+/**
+ * The remote refused the push, the picks stay on the local target branch
+ */
+class PushError extends CrcpError {
+  /**
+   * @param {string} message
+   * @param {Array<Object>} [results] - Per-commit results of the run
+   * @param {Object|null} [pushReport] - What the push was to do, see inspectPush
+   */
+  constructor(message, results = [], pushReport = null) {
+    super(message, EXIT_CODES.PUSH_REJECTED);
+    this.results = results;
+    this.pushReport = pushReport;
+  }
+}
+
+/**
+ * A hook command failed, the picks were not pushed
+ */
+class HookError extends CrcpError {
+  /**
+   * @param {string} message
+   * @param {Array<Object>} [results] - Per-commit results of the run
+   * @param {Array<Object>} [hooks] - Hook commands run so far, see runHook
+   */
+  constructor(message, results = [], hooks = []) {
+    super(message, EXIT_CODES.HOOK_FAILED);
+    this.results = results;
+    this.hooks = hooks;
+  }
+}
+
+export {
+  EXIT_CODES,
+  CrcpError,
+  InputError,
+  FetchError,
+  ConflictError,
+  PushError,
+  HookError,
+};
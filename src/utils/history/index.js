@@ -0,0 +1,321 @@
+import { execSync, spawnSync } from "child_process";
+import chalk from "chalk";
+import fs from "fs";
+import path from "path";
+import { fetchBranch } from "../repo/index.js";
+import { getSyncStatuses } from "../commit/index.js";
+import { FetchError } from "../error/index.js";
+
+// Number of commits loaded at a time by the commit picker
+const PAGE_SIZE = 100;
+
+// One record per commit followed by its stat, records are separated by \x1e
+const LOG_FORMAT = "--pretty=format:%x1e%H%x1f%h%x1f%ad%x1f%an%x1f%P%x1f%s";
+
+// Bumped when the indexed commit records change shape
+const INDEX_VERSION = 2;
+
+/**
+ * Turn commit filters into 'git log' arguments
+ * @param {Object} [filters]
+ * @param {string} [filters.author] - Author name or email, as a pattern
+ * @param {string} [filters.since] - Only commits after this date, e.g. "2024-01-01" or "2 weeks ago"
+ * @param {string} [filters.until] - Only commits before this date
+ * @param {string} [filters.message] - Text of the commit message, as a pattern
+ * @param {string|string[]} [filters.path] - Only commits touching these paths
+ * @returns {string[]}
+ */
+function getCommitFilterArgs(filters = {}) {
+  const { author, since, until, message, path: filterPath } = filters;
+  const args = [];
+  if (author) args.push(`--author=${author}`);
+  if (since) args.push(`--since=${since}`);
+  if (until) args.push(`--until=${until}`);
+  if (message) args.push(`--grep=${message}`);
+  if (author || message) args.push("--regexp-ignore-case");
+  // Keep the whole commit in the preview when filtering by path
+  if (filterPath) args.push("--full-diff", "--", ...[].concat(filterPath));
+  return args;
+}
+
+/**
+ * Read commit records from 'git log'
+ * @param {string[]} args - Revisions, limits and filters
+ * @returns {Array<{hash: string, shortHash: string, date: string, author: string, subject: string, stat: string,
+ * merge: boolean}>}
+ */
+function readLog(args) {
+  const { status, stdout, stderr } = spawnSync(
+    "git",
+    ["log", LOG_FORMAT, "--date=format:%Y-%m-%d %H:%M:%S", "--stat", ...args],
+    { encoding: "utf-8", maxBuffer: 1024 * 1024 * 256 }
+  );
+  if (status !== 0) {
+    throw new FetchError(`Failed to read the commit history. ${stderr}`);
+  }
+  return stdout
+    .split("\x1e")
+    .filter((record) => record.trim())
+    .map((record) => {
+      const [line, ...stat] = record.split("\n");
+      const [hash, shortHash, date, author, parents, subject] =
+        line.split("\x1f");
+      return {
+        hash,
+        shortHash,
+        date,
+        author,
+        subject,
+        stat: stat.join("\n").trim(),
+        merge: parents.split(" ").length > 1,
+      };
+    });
+}
+
+/**
+ * Get the path of the commit index of a remote - '.git/crcp/index/<remote>.json'
+ * @param {string} remoteName
+ * @returns {string}
+ */
+function getIndexFilePath(remoteName) {
+  const gitDir = execSync("git rev-parse --git-common-dir", {
+    encoding: "utf-8",
+  }).trim();
+  return path.resolve(gitDir, "crcp", "index", `${remoteName}.json`);
+}
+
+/**
+ * Load the commit index of a remote
+ * @param {string} remoteName
+ * @returns {{branches: Object<string, {tip: string, commits: Array<Object>, complete: boolean}>}}
+ */
+function loadCommitIndex(remoteName) {
+  const indexFilePath = getIndexFilePath(remoteName);
+  try {
+    const index = JSON.parse(fs.readFileSync(indexFilePath, "utf-8"));
+    if (index.version === INDEX_VERSION) return index;
+  } catch (error) {
+    // Missing or unreadable, start over
+  }
+  return { version: INDEX_VERSION, branches: {} };
+}
+
+/**
+ * Save the commit index of a remote
+ * @param {string} remoteName
+ * @param {Object} index
+ */
+function saveCommitIndex(remoteName, index) {
+  const indexFilePath = getIndexFilePath(remoteName);
+  fs.mkdirSync(path.dirname(indexFilePath), { recursive: true });
+  fs.writeFileSync(indexFilePath, JSON.stringify(index));
+}
+
+/**
+ * Bring the indexed commits of a branch up to its tip
+ * Only the commits added since the last run are read, the index starts over when the branch was rewritten
+ * @param {Object} entry - Indexed commits of the branch, newest-first
+ * @param {string} tip - Current commit of the branch
+ * @returns {Object} - Updated entry
+ */
+function refreshIndexEntry(entry, tip) {
+  if (entry && entry.tip === tip) return entry;
+
+  let fastForward = false;
+  if (entry) {
+    try {
+      execSync(`git merge-base --is-ancestor ${entry.tip} ${tip}`, {
+        stdio: "ignore",
+      });
+      // Merges could interleave the new commits with the indexed ones
+      fastForward =
+        execSync(`git rev-list --merges --count ${entry.tip}..${tip}`, {
+          encoding: "utf-8",
+        }).trim() === "0";
+    } catch (error) {
+      fastForward = false;
+    }
+  }
+  if (!fastForward) {
+    return { tip, commits: [], complete: false };
+  }
+  return {
+    tip,
+    commits: [...readLog([`${entry.tip}..${tip}`]), ...entry.commits],
+    complete: entry.complete,
+  };
+}
+
+/**
+ * Load one page of the commit history of a remote branch, newest-first
+ * Unfiltered pages come from the commit index of the remote, which is extended as older pages are requested
+ * @param {string} remoteName
+ * @param {string} branch
+ * @param {Object} [options]
+ * @param {number} [options.offset] - Number of commits already loaded
+ * @param {number} [options.count] - Page size
+ * @param {Object} [options.filters] - See getCommitFilterArgs
+ * @returns {{commits: Array<Object>, hasMore: boolean}}
+ */
+function loadCommitPage(remoteName, branch, options = {}) {
+  const { offset = 0, count = PAGE_SIZE, filters = {} } = options;
+  const sourceRef = `${remoteName}/${branch}`;
+
+  // Filtered history is left to 'git log'
+  if (Object.keys(filters).length) {
+    const commits = readLog([
+      sourceRef,
+      `--skip=${offset}`,
+      `--max-count=${count + 1}`,
+      ...getCommitFilterArgs(filters),
+    ]);
+    return {
+      commits: commits.slice(0, count),
+      hasMore: commits.length > count,
+    };
+  }
+
+  const tip = execSync(`git rev-parse ${sourceRef}`, {
+    encoding: "utf-8",
+  }).trim();
+  const index = loadCommitIndex(remoteName);
+  const entry = refreshIndexEntry(index.branches[branch], tip);
+
+  if (!entry.complete && entry.commits.length < offset + count + 1) {
+    const wanted = offset + count + 1 - entry.commits.length;
+    const known = new Set(entry.commits.map(({ hash }) => hash));
+    const older = readLog([
+      tip,
+      `--skip=${entry.commits.length}`,
+      `--max-count=${wanted}`,
+    ]);
+    entry.commits.push(...older.filter(({ hash }) => !known.has(hash)));
+    entry.complete = older.length < wanted;
+  }
+  index.branches[branch] = entry;
+  saveCommitIndex(remoteName, index);
+
+  return {
+    commits: entry.commits.slice(offset, offset + count),
+    hasMore: entry.commits.length > offset + count,
+  };
+}
+
+/**
+ * Get a page of the commit record of the remote branch
+ * Each commit is marked with whether the target branch already has it
+ * @param {string} remoteName
+ * @param {string} branch
+ * @param {Object} [options]
+ * @param {boolean} [options.hideApplied] - Leave out commits that are already applied
+ * @param {Object} [options.filters] - See getCommitFilterArgs
+ * @param {Object} [options.limits] - Listing limits
+ * @param {number} [options.limits.maxCount] - Never list more commits than this
+ * @param {number} [options.offset] - Number of commits already listed
+ * @param {string} [options.targetRef] - Branch the commits are compared with (default "HEAD")
+ * @returns {Promise<{commits: Array<Object>, hasMore: boolean, loaded: number}>}
+ * - Commits of the page with their "status", whether older commits remain and how many commits the page read
+ */
+async function listBranchCommits(remoteName, branch, options = {}) {
+  const {
+    filters = {},
+    limits = {},
+    offset = 0,
+    hideApplied = false,
+    targetRef = "HEAD",
+  } = options;
+  // The branch is fetched once per run, later pages and the pick reuse it
+  await fetchBranch(remoteName, branch);
+
+  const count = limits.maxCount
+    ? Math.min(PAGE_SIZE, limits.maxCount - offset)
+    : PAGE_SIZE;
+  if (count <= 0) return { commits: [], hasMore: false, loaded: 0 };
+
+  const { commits, hasMore } = loadCommitPage(remoteName, branch, {
+    offset,
+    count,
+    filters,
+  });
+
+  // Compare with the target branch, down to the oldest commit listed so far
+  let limit = "";
+  if (commits.length) {
+    try {
+      limit = execSync(
+        `git rev-parse -q --verify ${commits[commits.length - 1].hash}^`,
+        { encoding: "utf-8", stdio: ["ignore", "pipe", "ignore"] }
+      ).trim();
+    } catch (error) {
+      // Root commit or shallow boundary, compare the whole history
+    }
+  }
+  const syncStatuses = getSyncStatuses(
+    `${remoteName}/${branch}`,
+    targetRef,
+    limit
+  );
+
+  return {
+    commits: commits
+      .map((commit) => ({
+        ...commit,
+        status: syncStatuses.get(commit.hash) || "missing",
+      }))
+      .filter(({ status }) => !hideApplied || status !== "applied"),
+    hasMore: hasMore && (!limits.maxCount || offset + count < limits.maxCount),
+    loaded: commits.length,
+  };
+}
+
+/**
+ * Get a page of the commit record of the remote branch for the commit picker
+ * Each choice carries the 'git show --stat' of the commit as its preview
+ * @param {string} remoteName
+ * @param {string} branch
+ * @param {Object} [options] - See listBranchCommits
+ * @returns {Promise<{commits: Array<Object>, hasMore: boolean, loaded: number}>}
+ * - Choices of the page, whether older commits remain and how many commits the page read
+ */
+async function getCommits(remoteName, branch, options = {}) {
+  const { offset = 0 } = options;
+  const { commits, hasMore, loaded } = await listBranchCommits(
+    remoteName,
+    branch,
+    options
+  );
+  const statusLabels = {
+    applied: chalk.gray("[already applied]"),
+    partial: chalk.yellow("[partially applied]"),
+    missing: chalk.cyan("[not applied]"),
+  };
+
+  const choices = commits.map(
+    ({ shortHash, date, author, subject, stat, status, merge }, index) => {
+      const message = `${date} ${author} > ${subject}`;
+      const formattedMessage =
+        offset === 0 && index === 0 ? chalk.green(message) : message;
+      return {
+        name: `${statusLabels[status]}${
+          merge ? ` ${chalk.magenta("[merge]")}` : ""
+        } ${formattedMessage} (${shortHash})`,
+        value: shortHash,
+        description: merge
+          ? "Merge commit, picked against its mainline parent or replayed as the commits it merged"
+          : stat || "(no file changes)",
+        status,
+        merge,
+      };
+    }
+  );
+
+  return { commits: choices, hasMore, loaded };
+}
+
+export {
+  PAGE_SIZE,
+  getCommitFilterArgs,
+  loadCommitPage,
+  listBranchCommits,
+  getCommits,
+};
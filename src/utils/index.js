@@ -1,3 +1,9 @@
 export * from "./common/index.js";
 export * from "./repo/index.js";
 export * from "./branch/index.js";
+export * from "./commit/index.js";
+export * from "./patch/index.js";
+export * from "./error/index.js";
+export * from "./worktree/index.js";
+export * from "./history/index.js";
+export * from "./message/index.js";
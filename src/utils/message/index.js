@@ -0,0 +1,142 @@
+import { execSync, spawnSync } from "child_process";
+import { CrcpError } from "../error/index.js";
+
+// Issue keys such as "APP-123"
+const ISSUE_KEY_PATTERN = /\b([A-Z][A-Z0-9]*)-(\d+)\b/g;
+
+/**
+ * Rewrite the issue keys of a message for the target project
+ * A full key ("APP-123") is replaced as a whole, a project key ("APP") only swaps the prefix
+ * @param {string} message
+ * @param {Object<string, string>} [issueKeys] - e.g. { "APP-123": "WEB-456", "APP": "WEB" }
+ * @returns {string}
+ */
+function rewriteIssueKeys(message, issueKeys = {}) {
+  return message.replace(ISSUE_KEY_PATTERN, (key, prefix, number) => {
+    if (issueKeys[key]) return issueKeys[key];
+    if (issueKeys[prefix]) return `${issueKeys[prefix]}-${number}`;
+    return key;
+  });
+}
+
+/**
+ * Fill in the placeholders of a message template, unknown placeholders are kept as they are
+ * @param {string} template
+ * @param {Object<string, string>} values
+ * @returns {string}
+ */
+function fillPlaceholders(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    key in values ? values[key] : match
+  );
+}
+
+/**
+ * Append trailers to a message with 'git interpret-trailers'
+ * @param {string} message
+ * @param {Object<string, string>} trailers - Trailer key => value
+ * @returns {string}
+ */
+function addTrailers(message, trailers) {
+  const args = Object.entries(trailers).flatMap(([key, value]) => [
+    "--trailer",
+    `${key}: ${value}`,
+  ]);
+  const { status, stdout, stderr } = spawnSync(
+    "git",
+    ["interpret-trailers", ...args],
+    // Without a final newline the last line of the message is read as part of the trailers
+    { input: `${message.trimEnd()}\n`, encoding: "utf-8" }
+  );
+  if (status !== 0) {
+    throw new CrcpError(`Failed to add the commit trailers. ${stderr}`);
+  }
+  return stdout;
+}
+
+/**
+ * Check whether picked commits get a different message than their source commit
+ * @param {Object} options
+ * @returns {boolean}
+ */
+function needsMessageRewrite({
+  messageTemplate,
+  trailers = {},
+  issueKeys = {},
+  leftOut = [],
+}) {
+  return (
+    Boolean(messageTemplate) ||
+    Object.keys(trailers).length > 0 ||
+    Object.keys(issueKeys).length > 0 ||
+    leftOut.length > 0
+  );
+}
+
+/**
+ * Build the message of a picked commit from its source commit
+ * Placeholders of the template and the trailer values: {message}, {subject}, {body}, {hash}, {shortHash},
+ * {author}, {sourceRepo}, {sourceBranch} and {targetBranch}
+ * @param {string} commitHash - Source commit
+ * @param {Object} [options]
+ * @param {string} [options.messageTemplate] - Defaults to "{message}"
+ * @param {Object<string, string>} [options.trailers] - e.g. { "Cherry-picked-from": "{sourceRepo}@{hash}" }
+ * @param {Object<string, string>} [options.issueKeys] - See rewriteIssueKeys, applied to the source message
+ * @param {{sourceRepo?: string, sourceBranch?: string, targetBranch?: string}} [options.messageContext]
+ * @param {string[]} [options.leftOut] - Changes a partial port left behind, listed in the message
+ * with a "Partially-ported-from" trailer
+ * @returns {string}
+ */
+function renderCommitMessage(commitHash, options = {}) {
+  const {
+    messageTemplate = "{message}",
+    trailers = {},
+    issueKeys = {},
+    messageContext = {},
+    leftOut = [],
+  } = options;
+  const sourceMessage = rewriteIssueKeys(
+    execSync(`git log -1 --format=%B ${commitHash}`, {
+      encoding: "utf-8",
+    }).trim(),
+    issueKeys
+  );
+  const [subject, ...body] = sourceMessage.split("\n");
+  const values = {
+    message: sourceMessage,
+    subject,
+    body: body.join("\n").trim(),
+    hash: commitHash,
+    shortHash: commitHash.slice(0, 8),
+    author: execSync(`git log -1 --format="%an <%ae>" ${commitHash}`, {
+      encoding: "utf-8",
+    }).trim(),
+    sourceRepo: messageContext.sourceRepo || "",
+    sourceBranch: messageContext.sourceBranch || "",
+    targetBranch: messageContext.targetBranch || "",
+  };
+
+  let message = fillPlaceholders(messageTemplate, values);
+  let messageTrailers = trailers;
+  if (leftOut.length) {
+    message = `${message.trimEnd()}\n\nPartially ported, left out:\n${leftOut
+      .map((change) => `- ${change}`)
+      .join("\n")}`;
+    messageTrailers = {
+      ...trailers,
+      "Partially-ported-from": "{sourceRepo}@{hash}",
+    };
+  }
+  if (!Object.keys(messageTrailers).length) return message;
+  return addTrailers(
+    message,
+    Object.fromEntries(
+      Object.entries(messageTrailers).map(([key, value]) => [
+        key,
+        fillPlaceholders(value, values),
+      ])
+    )
+  );
+}
+
+export { rewriteIssueKeys, needsMessageRewrite, renderCommitMessage };
@@ -0,0 +1,274 @@
+import { execSync, spawnSync } from "child_process";
+import { matchGlob } from "../common/index.js";
+import { getWorkDir } from "../worktree/index.js";
+
+/**
+ * Get the patch introduced by a commit
+ * @param {string} hash
+ * @param {number} [parent] - Parent number the commit is diffed against, required for merge commits
+ * @returns {string} - Binary-safe patch with full blob ids, usable by 'git apply --3way'
+ */
+function getCommitPatch(hash, parent) {
+  // 'git show' gives a combined diff for merge commits, which cannot be applied
+  const command = parent
+    ? `git diff --patch --binary --full-index -M ${hash}^${parent} ${hash}`
+    : `git show --pretty=format: --patch --binary --full-index -M ${hash}`;
+  return execSync(command, {
+    encoding: "utf-8",
+    maxBuffer: 1024 * 1024 * 64,
+  });
+}
+
+/**
+ * Split a patch into one section per file
+ * @param {string} patch
+ * @returns {Array<{oldPath: string|null, newPath: string|null, lines: string[], headerLength: number}>}
+ * - Paths are null for added/deleted files on the missing side
+ */
+function parsePatch(patch) {
+  const files = [];
+  let current = null;
+  const lines = patch.split("\n");
+  // Drop the empty line left by the final newline
+  if (lines[lines.length - 1] === "") lines.pop();
+
+  lines.forEach((line) => {
+    if (line.startsWith("diff --git ")) {
+      const [, oldPath, newPath] =
+        line.match(/^diff --git a\/(.+) b\/(.+)$/) || [];
+      current = { oldPath, newPath, lines: [line], headerLength: 1 };
+      files.push(current);
+      return;
+    }
+    if (!current) return;
+    current.lines.push(line);
+    if (current.headerLength < current.lines.length - 1) return;
+    if (line.startsWith("@@") || line.startsWith("GIT binary patch")) return;
+
+    // The header paths are ambiguous when they contain " b/", prefer the explicit ones
+    current.headerLength = current.lines.length;
+    if (line.startsWith("new file mode")) current.oldPath = null;
+    if (line.startsWith("deleted file mode")) current.newPath = null;
+    if (line.startsWith("--- a/")) current.oldPath = line.slice(6);
+    if (line.startsWith("+++ b/")) current.newPath = line.slice(6);
+    if (/^(rename|copy) from /.test(line)) {
+      current.oldPath = line.replace(/^(rename|copy) from /, "");
+    }
+    if (/^(rename|copy) to /.test(line)) {
+      current.newPath = line.replace(/^(rename|copy) to /, "");
+    }
+  });
+  return files;
+}
+
+/**
+ * Join file sections back into a patch
+ * @param {Array<{lines: string[]}>} files
+ * @returns {string}
+ */
+function serializePatch(files) {
+  return files.map((file) => `${file.lines.join("\n")}\n`).join("");
+}
+
+/**
+ * Map a path through the longest matching prefix of a path map
+ * @param {string} filePath
+ * @param {Object<string, string>} pathMap - e.g. { "src/modules/pay": "packages/pay/src" }
+ * @returns {string|null} - Mapped path, null when the path is outside every mapping
+ */
+function remapPath(filePath, pathMap) {
+  const prefix = Object.keys(pathMap)
+    .map((from) => from.replace(/\/+$/, ""))
+    .sort((a, b) => b.length - a.length)
+    .find((from) => filePath === from || filePath.startsWith(`${from}/`));
+  if (prefix === undefined) return null;
+
+  const to = (pathMap[prefix] ?? pathMap[`${prefix}/`]).replace(/\/+$/, "");
+  return `${to}${filePath.slice(prefix.length)}`.replace(/^\//, "");
+}
+
+/**
+ * Rewrite the file paths of a parsed patch
+ * @param {Array<Object>} files - Result of parsePatch
+ * @param {Object<string, string>} pathMap
+ * @returns {{files: Array<Object>, unmapped: string[]}} - Rewritten sections and the paths outside the map
+ */
+function remapPatchPaths(files, pathMap) {
+  const mapped = [];
+  const unmapped = [];
+  files.forEach((file) => {
+    const oldPath = file.oldPath && remapPath(file.oldPath, pathMap);
+    const newPath = file.newPath && remapPath(file.newPath, pathMap);
+    if ((file.oldPath && !oldPath) || (file.newPath && !newPath)) {
+      unmapped.push(file.newPath || file.oldPath);
+      return;
+    }
+
+    const headerOld = oldPath || newPath;
+    const headerNew = newPath || oldPath;
+    const lines = file.lines.map((line, index) => {
+      if (index >= file.headerLength) return line;
+      if (index === 0) return `diff --git a/${headerOld} b/${headerNew}`;
+      if (line.startsWith("--- a/")) return `--- a/${oldPath}`;
+      if (line.startsWith("+++ b/")) return `+++ b/${newPath}`;
+      if (line.startsWith("rename from ")) return `rename from ${oldPath}`;
+      if (line.startsWith("rename to ")) return `rename to ${newPath}`;
+      if (line.startsWith("copy from ")) return `copy from ${oldPath}`;
+      if (line.startsWith("copy to ")) return `copy to ${newPath}`;
+      return line;
+    });
+    mapped.push({ ...file, oldPath, newPath, lines });
+  });
+  return { files: mapped, unmapped };
+}
+
+/**
+ * Keep the files of a parsed patch that match an include glob and no exclude glob
+ * @param {Array<Object>} files - Result of parsePatch
+ * @param {Object} [filters]
+ * @param {string[]} [filters.includePaths] - Globs of the files to keep, every file when empty
+ * @param {string[]} [filters.excludePaths] - Globs of the files to leave out
+ * @returns {{files: Array<Object>, excluded: string[]}} - Kept sections and the paths left out
+ */
+function filterPatchPaths(
+  files,
+  { includePaths = [], excludePaths = [] } = {}
+) {
+  const kept = [];
+  const excluded = [];
+  files.forEach((file) => {
+    const paths = [file.oldPath, file.newPath].filter(Boolean);
+    const matches = (patterns) =>
+      patterns.some((pattern) =>
+        paths.some((filePath) => matchGlob(filePath, pattern))
+      );
+    if (
+      (includePaths.length && !matches(includePaths)) ||
+      matches(excludePaths)
+    ) {
+      excluded.push(file.newPath || file.oldPath);
+    } else {
+      kept.push(file);
+    }
+  });
+  return { files: kept, excluded };
+}
+
+/**
+ * Split the hunks of a file section
+ * @param {{lines: string[], headerLength: number}} file
+ * @returns {string[][]} - Lines of each hunk, none for binary files and mode changes
+ */
+function getFileHunks(file) {
+  const hunks = [];
+  file.lines.slice(file.headerLength).forEach((line) => {
+    if (line.startsWith("@@")) hunks.push([line]);
+    else if (hunks.length) hunks[hunks.length - 1].push(line);
+  });
+  return hunks;
+}
+
+/**
+ * Keep only some hunks of a file section
+ * 'git apply' finds the kept hunks by their context, the line numbers of the dropped ones do not matter
+ * @param {Object} file
+ * @param {number[]} indexes - Hunks to keep, see getFileHunks
+ * @returns {Object} - The file section with the other hunks removed
+ */
+function keepFileHunks(file, indexes) {
+  return {
+    ...file,
+    lines: [
+      ...file.lines.slice(0, file.headerLength),
+      ...getFileHunks(file)
+        .filter((hunk, index) => indexes.includes(index))
+        .flat(),
+    ],
+  };
+}
+
+/**
+ * Turn configured substitution rules into regular expressions
+ * @param {Array<{from: string, to: string, regex?: boolean, flags?: string, paths?: string[]}>} rules
+ * - Literal rules replace every occurrence, regex rules use "flags" (default "g")
+ * @returns {Array<{pattern: RegExp, to: string|function(): string, paths: string[]}>}
+ */
+function compileSubstitutions(rules) {
+  return rules.map(({ from, to, regex = false, flags = "g", paths = [] }) => ({
+    pattern: regex
+      ? new RegExp(from, flags)
+      : new RegExp(from.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "g"),
+    // A replacer function keeps "$&", "$1" and "$$" of a literal rule as they are
+    to: regex ? to : () => to,
+    paths,
+  }));
+}
+
+/**
+ * Apply substitution rules to the hunks of a parsed patch
+ * Context and removed lines are rewritten too, so that they match the target's content
+ * @param {Array<Object>} files - Result of parsePatch
+ * @param {Array<Object>} rules - Result of compileSubstitutions
+ * @returns {{files: Array<Object>, changes: Array<{path: string, before: string, after: string}>}}
+ */
+function substitutePatch(files, rules) {
+  const changes = [];
+  const substituted = files.map((file) => {
+    const filePath = file.newPath || file.oldPath;
+    const fileRules = rules.filter(
+      ({ paths }) =>
+        !paths.length || paths.some((pattern) => matchGlob(filePath, pattern))
+    );
+    if (!fileRules.length) return file;
+
+    const lines = file.lines.map((line, index) => {
+      if (index < file.headerLength || !/^[ +-]/.test(line)) return line;
+      const content = fileRules.reduce(
+        (text, { pattern, to }) => text.replace(pattern, to),
+        line.slice(1)
+      );
+      const result = `${line[0]}${content}`;
+      if (result !== line) {
+        changes.push({ path: filePath, before: line, after: result });
+      }
+      return result;
+    });
+    return { ...file, lines };
+  });
+  return { files: substituted, changes };
+}
+
+/**
+ * Apply a patch to the working tree and the index, falling back to a 3-way merge
+ * @param {string} patch
+ * @param {Object} [options]
+ * @param {boolean} [options.threeWay] - Merge with the blobs the patch records when it does not apply (default true),
+ * otherwise the hunks that apply are kept and the others are left in '.rej' files
+ * @returns {{ok: boolean, stderr: string}}
+ */
+function applyPatch(patch, { threeWay = true } = {}) {
+  const { status, stderr } = spawnSync(
+    "git",
+    [
+      "apply",
+      ...(threeWay ? ["--3way", "--index"] : ["--index", "--reject"]),
+      "--whitespace=nowarn",
+    ],
+    { input: patch, encoding: "utf-8", cwd: getWorkDir() }
+  );
+  return { ok: status === 0, stderr };
+}
+
+export {
+  getCommitPatch,
+  parsePatch,
+  serializePatch,
+  remapPath,
+  remapPatchPaths,
+  filterPatchPaths,
+  getFileHunks,
+  keepFileHunks,
+  compileSubstitutions,
+  substitutePatch,
+  applyPatch,
+};
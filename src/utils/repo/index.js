@@ -1,7 +1,7 @@
 import { execSync } from "child_process";
 import inquirer from "inquirer";
-import chalk from "chalk";
-import { normalizeUrl } from "../common/index.js";
+import { normalizeUrl, runCommand } from "../common/index.js";
+import { CrcpError, FetchError } from "../error/index.js";
 
 /**
  * Get the project name from the repository URL
@@ -37,51 +37,38 @@ function getRepoNameFromUrl(url) {
  * @returns sourceRepoUrl string
  */
 async function getUserCustomRepositories() {
-  try {
-    let sourceRepoUrl = "";
-    const { inputRepoUrl } = await inquirer.prompt([
+  let sourceRepoUrl = "";
+  const { inputRepoUrl } = await inquirer.prompt([
+    {
+      type: "input",
+      name: "inputRepoUrl",
+      message: "Enter the source repository URL:",
+      validate: (input) =>
+        input ? true : "Source repository URL is required.",
+    },
+  ]);
+
+  if (checkRemoteExists(inputRepoUrl)) {
+    // The library entered by the user already exists
+    const { useRemote } = await inquirer.prompt([
       {
-        type: "input",
-        name: "inputRepoUrl",
-        message: "Enter the source repository URL:",
-        validate: (input) =>
-          input ? true : "Source repository URL is required.",
+        type: "confirm",
+        name: "useRemote",
+        message: `Remote repository "${inputRepoUrl}" already exists, do you want to use it?`,
+        default: true,
       },
     ]);
-
-    if (checkRemoteExists(inputRepoUrl)) {
-      // The library entered by the user already exists
-      const { useRemote } = await inquirer.prompt([
-        {
-          type: "confirm",
-          name: "useRemote",
-          message: `Remote repository "${inputRepoUrl}" already exists, do you want to use it?`,
-          default: true,
-        },
-      ]);
-      if (useRemote) {
-        sourceRepoUrl = inputRepoUrl;
-      } else {
-        // If you do not use an existing remote repository, re-enter
-        return await getUserCustomRepositories();
-      }
+    if (useRemote) {
+      sourceRepoUrl = inputRepoUrl;
     } else {
-      try {
-        const repoName = getRepoNameFromUrl(inputRepoUrl);
-        execSync(`git remote add ${repoName} ${inputRepoUrl}`, {
-          stdio: "ignore",
-        });
-        sourceRepoUrl = inputRepoUrl;
-      } catch (error) {
-        console.error(chalk.red(error.message));
-        process.exit(1);
-      }
+      // If you do not use an existing remote repository, re-enter
+      return await getUserCustomRepositories();
     }
-    return sourceRepoUrl;
-  } catch (error) {
-    console.error(chalk.red(error.message));
-    process.exit(1);
+  } else {
+    ensureRemote(inputRepoUrl);
+    sourceRepoUrl = inputRepoUrl;
   }
+  return sourceRepoUrl;
 }
 
 /**
@@ -92,38 +79,33 @@ async function getUserCustomRepositories() {
  * @returns {remoteUrl, remoteName}
  */
 async function getRepositories(lastRemoteName, lastRemoteUrl) {
-  try {
-    let remoteUrl;
-    let remoteName;
-    if (
-      typeof lastRemoteName === "string" &&
-      lastRemoteName !== "undefined" &&
-      lastRemoteName !== "null" &&
-      lastRemoteName
-    ) {
-      const { useExistingRemote } = await inquirer.prompt([
-        {
-          type: "confirm",
-          name: "useExistingRemote",
-          message: `Use the most recently added remote repository "${lastRemoteName}"?`,
-          default: true,
-        },
-      ]);
-
-      if (useExistingRemote) {
-        remoteUrl = lastRemoteUrl;
-      } else {
-        remoteUrl = await getUserCustomRepositories();
-      }
+  let remoteUrl;
+  let remoteName;
+  if (
+    typeof lastRemoteName === "string" &&
+    lastRemoteName !== "undefined" &&
+    lastRemoteName !== "null" &&
+    lastRemoteName
+  ) {
+    const { useExistingRemote } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "useExistingRemote",
+        message: `Use the most recently added remote repository "${lastRemoteName}"?`,
+        default: true,
+      },
+    ]);
+
+    if (useExistingRemote) {
+      remoteUrl = lastRemoteUrl;
     } else {
       remoteUrl = await getUserCustomRepositories();
     }
-    remoteName = getRepoNameFromUrl(remoteUrl);
-    return { remoteUrl, remoteName };
-  } catch (error) {
-    console.error(chalk.red(error.message));
-    process.exit(1);
+  } else {
+    remoteUrl = await getUserCustomRepositories();
   }
+  remoteName = getRepoNameFromUrl(remoteUrl);
+  return { remoteUrl, remoteName };
 }
 
 /**
@@ -162,22 +144,17 @@ function getLastRemote() {
  * @returns {boolean} - Whether the remote repository exists
  */
 function checkRemoteExists(remoteRepo) {
-  try {
-    // Get a list of all connected remote repositories
-    const remotes = getRemoteList()
-      .map((line) => line.split(": ")[1]) // Get URL Part
-      .filter(Boolean) // Filter out empty lines
-      .map((line) => line.split(" ")[0]) // Filter out the fetch/push part
-      .filter(Boolean) // Filter out empty lines
-      .map(normalizeUrl); // Standardized URLs
-
-    // Standardize input repository URLs
-    const normalizedInputUrl = normalizeUrl(remoteRepo);
-    return remotes.includes(normalizedInputUrl);
-  } catch (error) {
-    console.error(chalk.red(error.message));
-    process.exit(1);
-  }
+  // Get a list of all connected remote repositories
+  const remotes = getRemoteList()
+    .map((line) => line.split(": ")[1]) // Get URL Part
+    .filter(Boolean) // Filter out empty lines
+    .map((line) => line.split(" ")[0]) // Filter out the fetch/push part
+    .filter(Boolean) // Filter out empty lines
+    .map(normalizeUrl); // Standardized URLs
+
+  // Standardize input repository URLs
+  const normalizedInputUrl = normalizeUrl(remoteRepo);
+  return remotes.includes(normalizedInputUrl);
 }
 
 /**
@@ -201,9 +178,115 @@ function getRemoteList() {
       );
     return remoteList;
   } catch (error) {
-    console.error(chalk.red(error.message));
-    process.exit(1);
+    throw new CrcpError(`Failed to list remote repositories. ${error.message}`);
+  }
+}
+
+/**
+ * Check whether two URLs point to the same repository, SSH and HTTPS forms alike
+ * @param {string} url
+ * @param {string} otherUrl
+ * @returns {boolean}
+ */
+function isSameRepoUrl(url, otherUrl) {
+  const normalize = (value) => {
+    try {
+      return normalizeUrl(value);
+    } catch (error) {
+      // Local paths and other URL forms are compared as they are
+      return value.replace(/\/+$/, "");
+    }
+  };
+  return normalize(url) === normalize(otherUrl);
+}
+
+/**
+ * Make sure the source repository is connected as a remote
+ * A remote already pointing to the repository is reused whatever its name. Otherwise the remote is named
+ * after the repository, with a numbered suffix when another repository already has that name
+ * @param {string} remoteUrl
+ * @returns {string} - Name of the remote
+ */
+function ensureRemote(remoteUrl) {
+  let remoteNames;
+  try {
+    remoteNames = execSync("git remote", { encoding: "utf-8" })
+      .split("\n")
+      .filter(Boolean);
+  } catch (error) {
+    throw new CrcpError(`Failed to list remote repositories. ${error.message}`);
+  }
+  const existing = remoteNames.find((name) =>
+    isSameRepoUrl(
+      execSync(`git remote get-url ${name}`, { encoding: "utf-8" }).trim(),
+      remoteUrl
+    )
+  );
+  if (existing) return existing;
+
+  const repoName = getRepoNameFromUrl(remoteUrl);
+  let remoteName = repoName;
+  for (let suffix = 2; remoteNames.includes(remoteName); suffix++) {
+    remoteName = `${repoName}-${suffix}`;
+  }
+  if (remoteName !== repoName) {
+    console.log(
+      `The remote "${repoName}" points to another repository, adding "${remoteUrl}" as "${remoteName}".`
+    );
+  }
+  try {
+    execSync(`git remote add ${remoteName} ${remoteUrl}`, {
+      stdio: "ignore",
+    });
+  } catch (error) {
+    throw new CrcpError(
+      `Failed to add remote repository "${remoteUrl}". ${error.message}`
+    );
+  }
+  return remoteName;
+}
+
+// Branches already fetched by the current run, each branch is fetched once per run
+const fetchedBranches = new Set();
+
+/**
+ * Fetch a branch of a remote repository, once per run, see forgetFetches
+ * The whole branch is fetched, a shallow fetch would turn the current repository into a shallow clone
+ * @param {string} remoteName
+ * @param {string} branch
+ * @returns {Promise<void>}
+ */
+async function fetchBranch(remoteName, branch) {
+  const fetchKey = `${remoteName}/${branch}`;
+  if (fetchedBranches.has(fetchKey)) return;
+
+  try {
+    await runCommand(
+      "git",
+      ["fetch", remoteName, branch],
+      `Fetching branch ${branch} from remote ${remoteName}...`
+    );
+  } catch (error) {
+    throw new FetchError(
+      `Failed to fetch branch "${branch}" from "${remoteName}". ${error.message}`
+    );
   }
+  fetchedBranches.add(fetchKey);
+}
+
+/**
+ * End the run of fetchBranch: the branches are fetched again by the next run
+ * A run is one API call, or the commit picker and the pick of one CLI command
+ */
+function forgetFetches() {
+  fetchedBranches.clear();
 }
 
-export { getRepositories, getLastRemote, getRepoNameFromUrl };
+export {
+  getRepositories,
+  getLastRemote,
+  getRepoNameFromUrl,
+  ensureRemote,
+  fetchBranch,
+  forgetFetches,
+};
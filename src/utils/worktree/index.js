@@ -0,0 +1,143 @@
+import { execSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import chalk from "chalk";
+import { CrcpError } from "../error/index.js";
+
+// Worktree the git commands of a pick run in, the process itself never changes directory
+let activeWorktree = null;
+
+/**
+ * List the worktrees of the repository, the main worktree first
+ * @returns {Array<{dir: string, branch: string|null}>} - branch is null when HEAD is detached
+ */
+function listWorktrees() {
+  return execSync("git worktree list --porcelain", { encoding: "utf-8" })
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const lines = block.split("\n");
+      const branch = lines.find((line) => line.startsWith("branch "));
+      return {
+        dir: lines[0].slice("worktree ".length),
+        branch: branch ? branch.slice("branch refs/heads/".length) : null,
+      };
+    });
+}
+
+/**
+ * Get the worktree a branch is checked out in
+ * @param {string} branchName
+ * @returns {string|null} - Worktree directory, null when the branch is not checked out
+ */
+function getBranchWorktree(branchName) {
+  const worktree = listWorktrees().find(({ branch }) => branch === branchName);
+  return worktree ? worktree.dir : null;
+}
+
+/**
+ * Get the main worktree of the repository, the one a crcp worktree is created from
+ * @returns {string} - Worktree directory
+ */
+function getMainWorktree() {
+  return listWorktrees()[0].dir;
+}
+
+/**
+ * Create a temporary worktree on a detached HEAD and run the following git commands in it
+ * @returns {string} - Worktree directory
+ */
+function createWorktree() {
+  const worktreeDir = fs.mkdtempSync(path.join(os.tmpdir(), "crcp-worktree-"));
+  try {
+    execSync(`git worktree add --detach "${worktreeDir}" HEAD`, {
+      stdio: "ignore",
+    });
+  } catch (error) {
+    fs.rmSync(worktreeDir, { recursive: true, force: true });
+    throw new CrcpError(
+      `Failed to create a temporary worktree. ${error.message}`
+    );
+  }
+  console.log(
+    chalk.gray(`Working in a temporary worktree - "${worktreeDir}".`)
+  );
+  enterWorktree(worktreeDir);
+  return worktreeDir;
+}
+
+/**
+ * Run the following git commands in a worktree, see getWorkDir
+ * @param {string} worktreeDir
+ */
+function enterWorktree(worktreeDir) {
+  if (!fs.existsSync(worktreeDir)) {
+    throw new CrcpError(`The crcp worktree "${worktreeDir}" no longer exists.`);
+  }
+  activeWorktree = worktreeDir;
+}
+
+/**
+ * Run the following git commands in the current directory again, keeping the worktree
+ */
+function leaveWorktree() {
+  activeWorktree = null;
+}
+
+/**
+ * Remove a worktree, leaving it first when it is the active one
+ * @param {string} worktreeDir
+ */
+function removeWorktree(worktreeDir) {
+  if (activeWorktree === worktreeDir) {
+    leaveWorktree();
+  }
+  try {
+    execSync(`git worktree remove --force "${worktreeDir}"`, {
+      stdio: "ignore",
+    });
+  } catch (error) {
+    // Already gone or never registered, drop whatever is left
+    fs.rmSync(worktreeDir, { recursive: true, force: true });
+    execSync("git worktree prune", { stdio: "ignore" });
+  }
+  console.log(chalk.gray(`Removed the temporary worktree - "${worktreeDir}".`));
+}
+
+/**
+ * Get the worktree the git commands of a pick currently run in
+ * @returns {string|null} - Worktree directory
+ */
+function getActiveWorktree() {
+  return activeWorktree;
+}
+
+/**
+ * Get the directory the git commands touching HEAD, the index or the working tree run in
+ * @returns {string|undefined} - The active worktree, undefined for the current directory; pass it as "cwd"
+ */
+function getWorkDir() {
+  return activeWorktree || undefined;
+}
+
+/**
+ * Resolve a path of the working tree against the directory the git commands run in
+ * @param {string} filePath
+ * @returns {string}
+ */
+function resolveWorkPath(filePath) {
+  return activeWorktree ? path.join(activeWorktree, filePath) : filePath;
+}
+
+export {
+  getBranchWorktree,
+  getMainWorktree,
+  createWorktree,
+  enterWorktree,
+  leaveWorktree,
+  removeWorktree,
+  getActiveWorktree,
+  getWorkDir,
+  resolveWorkPath,
+};
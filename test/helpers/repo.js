@@ -0,0 +1,87 @@
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Run a git command in the working directory
+ * @param {string[]} args
+ * @param {string} [cwd] - Directory to run it in instead, e.g. another clone
+ * @returns {string} - Trimmed output
+ */
+export function git(args, cwd) {
+  return execFileSync("git", args, {
+    cwd,
+    encoding: "utf-8",
+    stdio: ["ignore", "pipe", "ignore"],
+  }).trim();
+}
+
+/**
+ * Set the committer of a repository in the working directory
+ */
+function configureRepo() {
+  git(["config", "user.name", "Ada"]);
+  git(["config", "user.email", "ada@example.com"]);
+  git(["config", "commit.gpgsign", "false"]);
+}
+
+/**
+ * Get a function deleting a temporary repository
+ * @param {string} dir
+ * @returns {function(): void}
+ */
+function removeRepo(dir) {
+  return () => {
+    if (path.resolve(process.cwd()) === path.resolve(dir)) {
+      process.chdir(os.tmpdir());
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+}
+
+/**
+ * Create an empty repository in a temporary directory and make it the working directory
+ * Each test file runs in its own process, so changing directory does not leak into other files
+ * @returns {{dir: string, remove: function(): void}} - The repository and a function deleting it
+ */
+export function createRepo() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "crcp-test-"));
+  process.chdir(dir);
+  git(["init", "-q", "-b", "main"]);
+  configureRepo();
+  return { dir, remove: removeRepo(dir) };
+}
+
+/**
+ * Clone a repository into a temporary directory
+ * A clone with a working tree becomes the working directory as createRepo does, a bare clone
+ * (e.g. the remote a test pushes to) leaves it alone
+ * @param {string} url
+ * @param {{bare?: boolean}} [options]
+ * @returns {{dir: string, remove: function(): void}} - The clone and a function deleting it
+ */
+export function cloneRepo(url, { bare = false } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "crcp-test-"));
+  git(["clone", "-q", ...(bare ? ["--bare"] : []), url, dir]);
+  if (!bare) {
+    process.chdir(dir);
+    configureRepo();
+  }
+  return { dir, remove: removeRepo(dir) };
+}
+
+/**
+ * Write a file and commit it
+ * @param {string} filePath
+ * @param {string} content
+ * @param {string} message
+ * @returns {string} - Hash of the new commit
+ */
+export function commitFile(filePath, content, message) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  git(["add", "--", filePath]);
+  git(["commit", "-q", "-m", message]);
+  return git(["rev-parse", "HEAD"]);
+}
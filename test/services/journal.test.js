@@ -0,0 +1,107 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  cherryPick,
+  undoCherryPick,
+  getRunHistory,
+  CrcpError,
+} from "../../src/index.js";
+import { createRepo, cloneRepo, commitFile, git } from "../helpers/repo.js";
+
+// "upstream" holds the commits to pick, "origin" is the bare remote its clone pushes to
+const upstream = createRepo();
+const base = commitFile("app.js", "base\n", "Initial commit");
+git(["checkout", "-q", "-b", "feature"]);
+const addA = commitFile("a.js", "a\n", "Add a");
+const addB = commitFile("b.js", "b\n", "Add b");
+git(["checkout", "-q", "main"]);
+const origin = cloneRepo(upstream.dir, { bare: true });
+const clone = cloneRepo(origin.dir);
+test.after(() => {
+  clone.remove();
+  origin.remove();
+  upstream.remove();
+});
+
+/**
+ * Pick a feature commit onto a branch of the clone
+ * @param {string} commit
+ * @param {string} targetBranch
+ * @param {Object} [options] - More options of cherryPick
+ * @returns {Promise<Object>}
+ */
+function pick(commit, targetBranch, options = {}) {
+  return cherryPick({
+    sourceRepoUrl: upstream.dir,
+    sourceBranch: "feature",
+    commits: [commit],
+    targetBranch,
+    ...options,
+  });
+}
+
+/**
+ * Get the last run of the journal
+ * @returns {Object}
+ */
+function lastRun() {
+  return getRunHistory().pop();
+}
+
+test("undo restores the branches of the last run and marks it undone", async () => {
+  await pick(addA, "main");
+  const { runId } = lastRun();
+  assert.match(
+    runId,
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+  );
+  assert.notEqual(git(["rev-parse", "main"]), base);
+
+  const result = await undoCherryPick();
+  assert.equal(result.runId, runId);
+  assert.equal(result.outcome, "success");
+  assert.equal(git(["rev-parse", "main"]), base);
+  assert.equal(git(["status", "--porcelain"]), "");
+  assert.equal(lastRun().outcome, "undone");
+  await assert.rejects(undoCherryPick(), CrcpError);
+});
+
+test("a branch that moved after the run leaves it partly undone and undoable", async () => {
+  git(["checkout", "-q", "main"]);
+  await pick(addA, "later");
+  const picked = git(["rev-parse", "later"]);
+  git(["checkout", "-q", "later"]);
+  commitFile("c.js", "c\n", "Add c on top");
+  git(["checkout", "-q", "main"]);
+
+  let result = await undoCherryPick();
+  assert.equal(result.outcome, "partial");
+  assert.deepEqual(
+    result.skipped.map(({ ref }) => ref),
+    ["refs/heads/later"]
+  );
+  assert.notEqual(lastRun().outcome, "undone");
+
+  git(["branch", "-f", "later", picked]);
+  result = await undoCherryPick();
+  assert.equal(result.outcome, "success");
+  assert.equal(git(["branch", "--list", "later"]), "");
+  assert.equal(lastRun().outcome, "undone");
+});
+
+test("a pushed branch is only restored with remote, until then the run stays undoable", async () => {
+  git(["checkout", "-q", "main"]);
+  await pick(addB, "main", { push: true });
+  const pushed = git(["rev-parse", "main"]);
+  assert.equal(git(["rev-parse", "main"], origin.dir), pushed);
+
+  let result = await undoCherryPick();
+  assert.equal(result.outcome, "partial");
+  assert.equal(git(["rev-parse", "main"]), base);
+  assert.equal(git(["rev-parse", "main"], origin.dir), pushed);
+
+  result = await undoCherryPick({ remote: true });
+  assert.equal(result.outcome, "success");
+  assert.equal(git(["rev-parse", "main"], origin.dir), base);
+  assert.equal(lastRun().outcome, "undone");
+});
@@ -0,0 +1,109 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  getRemoteHead,
+  inspectPush,
+  pushTarget,
+} from "../../src/services/push.js";
+import { createRepo, cloneRepo, commitFile, git } from "../helpers/repo.js";
+
+// A bare "origin" and a clone of it, the clone is the current repository
+const upstream = createRepo();
+commitFile("app.js", "base\n", "Initial commit");
+const origin = cloneRepo(upstream.dir, { bare: true });
+const clone = cloneRepo(origin.dir);
+test.after(() => {
+  clone.remove();
+  origin.remove();
+  upstream.remove();
+});
+
+/**
+ * Build the session of a pick onto main, as startSession records it before picking
+ * @param {string} pushPolicy
+ * @param {Object} [options] - More porting options, e.g. "reviewBranchTemplate"
+ * @returns {Object}
+ */
+function sessionFor(pushPolicy, options = {}) {
+  return {
+    usingRemoteName: "upstream",
+    sourceBranch: "main",
+    targetBranch: "main",
+    remoteHead: getRemoteHead("main"),
+    options: { pushPolicy, ...options },
+    results: [],
+  };
+}
+
+/**
+ * Push a commit onto origin/main that the local main does not have, as another clone would
+ * @param {string} message
+ * @returns {string} - Hash of the commit
+ */
+function pushFromElsewhere(message) {
+  git(["fetch", "-q", "origin", "main"]);
+  const remoteHead = git(["rev-parse", "origin/main"]);
+  const commit = git([
+    "commit-tree",
+    `${remoteHead}^{tree}`,
+    "-p",
+    remoteHead,
+    "-m",
+    message,
+  ]);
+  git(["push", "-q", "origin", `${commit}:refs/heads/main`]);
+  return commit;
+}
+
+test("ff-only pushes a fast-forward and refuses a remote branch with other commits", () => {
+  let session = sessionFor("ff-only");
+  const picked = commitFile("a.js", "a\n", "Add a");
+  let report = inspectPush(session);
+  assert.equal(report.allowed, true);
+  assert.equal(report.ahead, 1);
+  assert.equal(pushTarget(report), "origin/main");
+  assert.equal(getRemoteHead("main"), picked);
+
+  session = sessionFor("ff-only");
+  pushFromElsewhere("Pushed elsewhere");
+  commitFile("b.js", "b\n", "Add b");
+  report = inspectPush(session);
+  assert.equal(report.allowed, false);
+  assert.equal(report.behind, 1);
+  assert.match(report.reason, /fast-forward/);
+});
+
+test("force-with-lease overwrites the remote branch only while it is where the run found it", () => {
+  const session = sessionFor("force-with-lease");
+  const report = inspectPush(session);
+  assert.equal(report.allowed, true);
+  pushTarget(report);
+  assert.equal(getRemoteHead("main"), git(["rev-parse", "main"]));
+
+  const moved = sessionFor("force-with-lease");
+  pushFromElsewhere("Pushed elsewhere again");
+  const refused = inspectPush(moved);
+  assert.equal(refused.allowed, false);
+  assert.match(refused.reason, /moved since the run started/);
+});
+
+test("review-branch pushes to a new branch named by the template and never reuses one", () => {
+  const session = {
+    ...sessionFor("review-branch", {
+      reviewBranchTemplate: "review/{sourceBranch}-to-{target}",
+    }),
+    results: [{ hash: git(["rev-parse", "main"]), status: "applied" }],
+  };
+  const report = inspectPush(session);
+  assert.equal(report.destination, "review/main-to-main");
+  assert.equal(report.allowed, true);
+  assert.equal(pushTarget(report), "origin/review/main-to-main");
+  assert.equal(
+    getRemoteHead("review/main-to-main"),
+    git(["rev-parse", "main"])
+  );
+
+  const again = inspectPush(session);
+  assert.equal(again.allowed, false);
+  assert.match(again.reason, /already exists/);
+});
@@ -0,0 +1,144 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import {
+  cherryPick,
+  continueCherryPick,
+  skipCherryPick,
+  abortCherryPick,
+  undoCherryPick,
+  getRunHistory,
+  ConflictError,
+} from "../../src/index.js";
+import { loadSession } from "../../src/services/session.js";
+import { createRepo, cloneRepo, commitFile, git } from "../helpers/repo.js";
+
+// "source" is the repository the commits come from, its clone is the current repository
+const source = createRepo();
+const base = commitFile("app.js", "base\n", "Initial commit");
+git(["checkout", "-q", "-b", "feature"]);
+const addA = commitFile("a.js", "a\n", "Add a");
+const changeApp = commitFile("app.js", "feature\n", "Change app");
+const addC = commitFile("c.js", "c\n", "Add c");
+git(["checkout", "-q", "main"]);
+
+const target = cloneRepo(source.dir);
+test.after(() => {
+  target.remove();
+  source.remove();
+});
+// The target changed app.js as well, picking "Change app" conflicts
+commitFile("app.js", "target\n", "Change app on the target");
+const targetHead = git(["rev-parse", "HEAD"]);
+
+/**
+ * Pick the feature commits from main onto a branch, expecting the pick to stop on "Change app"
+ * A finished session stays on its target branch, a new target branch starts from main again
+ * @param {string} targetBranch
+ */
+async function pickUntilConflict(targetBranch) {
+  git(["checkout", "-q", "main"]);
+  await assert.rejects(
+    cherryPick({
+      sourceRepoUrl: source.dir,
+      sourceBranch: "feature",
+      commits: [addA, changeApp, addC],
+      targetBranch,
+    }),
+    ConflictError
+  );
+  const session = loadSession();
+  assert.equal(session.current, changeApp);
+  assert.equal(git(["rev-parse", "--abbrev-ref", "HEAD"]), targetBranch);
+}
+
+/**
+ * List the files of a branch
+ * @param {string} branch
+ * @returns {string[]}
+ */
+function filesOf(branch) {
+  return git(["ls-tree", "--name-only", branch]).split("\n");
+}
+
+test("continue commits the resolution and picks the rest", async () => {
+  await pickUntilConflict("resumed");
+  fs.writeFileSync("app.js", "target and feature\n");
+  git(["add", "app.js"]);
+
+  const result = await continueCherryPick();
+  assert.deepEqual(result.applied, [addA, changeApp, addC]);
+  assert.equal(loadSession(), null);
+  assert.deepEqual(filesOf("resumed"), ["a.js", "app.js", "c.js"]);
+  assert.equal(git(["show", "resumed:app.js"]), "target and feature");
+  assert.equal(git(["rev-list", "--count", `${targetHead}..resumed`]), "3");
+});
+
+test("skip drops the stopped commit and picks the rest", async () => {
+  await pickUntilConflict("skipped");
+
+  const result = await skipCherryPick();
+  assert.deepEqual(result.applied, [addA, addC]);
+  assert.deepEqual(
+    result.commits.map(({ status }) => status),
+    ["applied", "skipped", "applied"]
+  );
+  assert.equal(loadSession(), null);
+  assert.equal(git(["show", "skipped:app.js"]), "target");
+  assert.deepEqual(filesOf("skipped"), ["a.js", "app.js", "c.js"]);
+});
+
+test("abort puts an existing target branch back and returns to the original branch", async () => {
+  git(["branch", "existing", "main"]);
+  await pickUntilConflict("existing");
+
+  abortCherryPick();
+  assert.equal(loadSession(), null);
+  assert.equal(git(["rev-parse", "--abbrev-ref", "HEAD"]), "main");
+  assert.equal(git(["rev-parse", "existing"]), targetHead);
+  assert.equal(git(["status", "--porcelain"]), "");
+  assert.equal(git(["branch", "--list", "temp-feature"]), "");
+});
+
+test("abort deletes a target branch the session created", async () => {
+  await pickUntilConflict("created");
+
+  abortCherryPick();
+  assert.equal(git(["rev-parse", "--abbrev-ref", "HEAD"]), "main");
+  assert.equal(git(["branch", "--list", "created"]), "");
+});
+
+test("a fan-out aborts the branch that conflicts, picks the others and shares one run", async () => {
+  git(["branch", "fan-a", base]);
+  git(["branch", "fan-b", "main"]);
+  git(["branch", "fan-c", base]);
+  git(["checkout", "-q", "-b", "start", "main"]);
+
+  const result = await cherryPick({
+    sourceRepoUrl: source.dir,
+    sourceBranch: "feature",
+    commits: [addA, changeApp],
+    targetBranch: "fan-*",
+  });
+  assert.deepEqual(
+    result.branches.map(({ targetBranch, status }) => [targetBranch, status]),
+    [
+      ["fan-a", "clean"],
+      ["fan-b", "conflict"],
+      ["fan-c", "clean"],
+    ]
+  );
+  assert.equal(loadSession(), null);
+  assert.equal(git(["rev-parse", "--abbrev-ref", "HEAD"]), "start");
+  assert.equal(git(["rev-parse", "fan-b"]), targetHead);
+  assert.equal(git(["show", "fan-a:app.js"]), "feature");
+  assert.equal(git(["show", "fan-c:app.js"]), "feature");
+
+  const run = getRunHistory().pop();
+  assert.equal(run.targetBranch, "fan-a,fan-b,fan-c");
+  const { outcome } = await undoCherryPick();
+  assert.equal(outcome, "success");
+  assert.equal(git(["rev-parse", "fan-a"]), base);
+  assert.equal(git(["rev-parse", "fan-b"]), targetHead);
+  assert.equal(git(["rev-parse", "fan-c"]), base);
+});
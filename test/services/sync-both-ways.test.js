@@ -0,0 +1,95 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { syncBranch } from "../../src/index.js";
+import { createRepo, cloneRepo, commitFile, git } from "../helpers/repo.js";
+
+// "seed" commits to the bare "source" remote, "target" is the current repository with its own bare origin
+const seed = createRepo();
+const base = commitFile("app.js", "base\n", "Initial commit");
+const source = cloneRepo(seed.dir, { bare: true });
+git(["remote", "add", "source", source.dir]);
+const targetOrigin = cloneRepo(seed.dir, { bare: true });
+const target = cloneRepo(targetOrigin.dir);
+test.after(() => {
+  target.remove();
+  targetOrigin.remove();
+  source.remove();
+  seed.remove();
+});
+
+/**
+ * Commit a file in the seed repository and push it to the source remote
+ * @param {string} filePath
+ * @param {string} message
+ * @returns {string} - Hash of the commit
+ */
+function commitOnSource(filePath, message) {
+  process.chdir(seed.dir);
+  git(["pull", "-q", "--ff-only", "source", "main"]);
+  const commit = commitFile(filePath, `${filePath}\n`, message);
+  git(["push", "-q", "source", "main"]);
+  process.chdir(target.dir);
+  return commit;
+}
+
+/**
+ * Sync main both ways and push the picks
+ * @param {Object} [options] - More options of syncBranch, e.g. the starting commits
+ * @returns {Promise<Object>}
+ */
+function syncBothWays(options = {}) {
+  return syncBranch({
+    sourceRepoUrl: source.dir,
+    sourceBranch: "main",
+    targetBranch: "main",
+    bothWays: true,
+    push: true,
+    ...options,
+  });
+}
+
+/**
+ * List the files of a branch
+ * @param {string} branch
+ * @param {string} [cwd]
+ * @returns {string[]}
+ */
+function filesOf(branch, cwd) {
+  return git(["ls-tree", "--name-only", branch], cwd).split("\n");
+}
+
+test("the new commits of each side are picked onto the other and pushed", async () => {
+  const fromSource = commitOnSource("source.js", "Add source");
+  const fromTarget = commitFile("target.js", "target.js\n", "Add target");
+
+  const result = await syncBothWays({ from: base, reverseFrom: base });
+  assert.deepEqual(result.sync.forward.pending, [fromSource]);
+  assert.deepEqual(result.sync.reverse.pending, [fromTarget]);
+  assert.deepEqual(filesOf("main"), ["app.js", "source.js", "target.js"]);
+  assert.deepEqual(filesOf("main", source.dir), [
+    "app.js",
+    "source.js",
+    "target.js",
+  ]);
+  assert.equal(
+    git(["rev-parse", "main"], targetOrigin.dir),
+    git(["rev-parse", "main"])
+  );
+  assert.match(
+    git(["log", "-1", "--format=%B", "main"], source.dir),
+    new RegExp(`Cherry-picked-from: .+@${fromTarget}`)
+  );
+});
+
+test("picked commits are not sent back and the watermarks start after them", async () => {
+  let result = await syncBothWays();
+  assert.deepEqual(result.sync.forward.pending, []);
+  assert.deepEqual(result.sync.reverse.pending, []);
+  assert.deepEqual(result.applied, []);
+
+  const later = commitOnSource("later.js", "Add later");
+  result = await syncBothWays();
+  assert.deepEqual(result.sync.forward.pending, [later]);
+  assert.deepEqual(result.sync.reverse.pending, []);
+  assert.ok(filesOf("main").includes("later.js"));
+});
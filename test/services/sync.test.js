@@ -0,0 +1,129 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  planSync,
+  advanceSyncWatermark,
+  setSyncSkipped,
+} from "../../src/services/sync.js";
+import { CrcpError, InputError } from "../../src/utils/error/index.js";
+import { createRepo, commitFile, git } from "../helpers/repo.js";
+
+const repo = createRepo();
+test.after(repo.remove);
+
+// "upstream" plays the fetched source branch, "develop" the target branch
+const base = commitFile("app.js", "base\n", "Initial commit");
+git(["checkout", "-q", "-b", "upstream"]);
+const missing = commitFile("a.js", "a\n", "Add a");
+const picked = commitFile("b.js", "b\n", "Add b");
+const ported = commitFile("c.js", "c\n", "Add c");
+const latest = commitFile("d.js", "d\n", "Add d");
+
+git(["checkout", "-q", "-b", "develop", base]);
+git(["cherry-pick", picked]);
+// Ported with changes, only the trailer tells where it came from
+commitFile(
+  "c.js",
+  "c, adapted\n",
+  `Add c\n\nCherry-picked-from: upstream@${ported}`
+);
+git(["checkout", "-q", "main"]);
+
+const direction = {
+  key: "upstream->develop",
+  sourceRepo: "upstream",
+  sourceRef: "upstream",
+  sourceBranch: "upstream",
+  targetRef: "develop",
+  targetBranch: "develop",
+  startOption: "--from",
+};
+
+/**
+ * Map the planned commits to their status
+ * @param {Object} plan - Result of planSync
+ * @returns {Object<string, string>}
+ */
+function statusesOf(plan) {
+  return Object.fromEntries(
+    plan.commits.map(({ hash, status }) => [hash, status])
+  );
+}
+
+test("a pair that was never synced needs a starting commit", () => {
+  assert.throws(() => planSync(direction), InputError);
+  assert.throws(() => planSync(direction, "no-such-commit"), InputError);
+});
+
+test("the commits after the starting commit are planned with their status", () => {
+  const plan = planSync(direction, base);
+  assert.equal(plan.watermark, base);
+  assert.equal(plan.tip, latest);
+  assert.deepEqual(
+    plan.commits.map(({ hash }) => hash),
+    [missing, picked, ported, latest]
+  );
+  assert.deepEqual(statusesOf(plan), {
+    [missing]: "missing",
+    [picked]: "applied",
+    [ported]: "partial",
+    [latest]: "missing",
+  });
+  assert.deepEqual(plan.pending, [missing, latest]);
+});
+
+test("the watermark moves to the planned tip and remembers skipped commits", () => {
+  const plan = planSync(direction, base);
+  const stored = advanceSyncWatermark(plan, [
+    { hash: missing, status: "skipped" },
+    { hash: latest, status: "applied" },
+  ]);
+  assert.equal(stored.watermark, latest);
+  assert.deepEqual(stored.skipped, [missing]);
+
+  // Only the commits made after the sync are planned next time
+  git(["checkout", "-q", "upstream"]);
+  const newer = commitFile("e.js", "e\n", "Add e");
+  git(["checkout", "-q", "main"]);
+  const next = planSync(direction);
+  assert.equal(next.watermark, latest);
+  assert.deepEqual(next.pending, [newer]);
+});
+
+test("skipped commits are left out of the plan until they are taken back", () => {
+  const [newer] = planSync(direction).pending;
+  setSyncSkipped(direction, [newer]);
+  let plan = planSync(direction);
+  assert.equal(statusesOf(plan)[newer], "skipped");
+  assert.deepEqual(plan.pending, []);
+
+  setSyncSkipped(direction, [newer], false);
+  plan = planSync(direction);
+  assert.deepEqual(plan.pending, [newer]);
+});
+
+test("a starting commit overrides the stored watermark", () => {
+  const plan = planSync(direction, ported);
+  assert.equal(plan.watermark, ported);
+  assert.equal(plan.commits[0].hash, latest);
+});
+
+test("a commit ported from the target is not sent back to it", () => {
+  git(["checkout", "-q", "develop"]);
+  const local = commitFile("f.js", "f\n", "Add f");
+  git(["checkout", "-q", "upstream"]);
+  const returning = commitFile(
+    "f.js",
+    "f, adapted\n",
+    `Add f\n\nCherry-picked-from: develop@${local}`
+  );
+  git(["checkout", "-q", "main"]);
+  const plan = planSync(direction);
+  assert.equal(statusesOf(plan)[returning], "ported");
+  assert.ok(!plan.pending.includes(returning));
+});
+
+test("a rewritten source branch that lost the watermark must start over", () => {
+  git(["branch", "-f", "upstream", base]);
+  assert.throws(() => planSync(direction), CrcpError);
+});
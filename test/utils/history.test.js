@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { listBranchCommits } from "../../src/utils/history/index.js";
+import { listCommits } from "../../src/index.js";
+import { createRepo, commitFile, git } from "../helpers/repo.js";
+
+// "source" plays the remote repository, the repository created last is the current one
+const source = createRepo();
+const sourceCommits = ["a", "b", "c", "d", "e"].map((name) =>
+  commitFile(`${name}.js`, `${name}\n`, `Add ${name}`)
+);
+const target = createRepo();
+test.after(() => {
+  target.remove();
+  source.remove();
+});
+
+commitFile("app.js", "app\n", "Initial commit");
+git(["remote", "add", "source", source.dir]);
+
+test("a bounded listing fetches the whole branch without making the repository shallow", async () => {
+  const { commits, hasMore } = await listBranchCommits("source", "main", {
+    limits: { maxCount: 2 },
+  });
+  assert.deepEqual(
+    commits.map(({ hash }) => hash),
+    sourceCommits.slice(-2).reverse()
+  );
+  assert.equal(hasMore, false);
+  assert.equal(git(["rev-parse", "--is-shallow-repository"]), "false");
+  assert.equal(git(["rev-list", "--count", "source/main"]), "5");
+});
+
+test("the next API call fetches the commits pushed since the last one", async () => {
+  const listSource = () =>
+    listCommits({ sourceRepoUrl: source.dir, sourceBranch: "main" });
+  let { commits } = await listSource();
+  assert.equal(commits[0].hash, sourceCommits.at(-1));
+
+  process.chdir(source.dir);
+  const added = commitFile("f.js", "f\n", "Add f");
+  process.chdir(target.dir);
+  ({ commits } = await listSource());
+  assert.equal(commits[0].hash, added);
+});
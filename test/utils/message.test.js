@@ -0,0 +1,114 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  rewriteIssueKeys,
+  needsMessageRewrite,
+  renderCommitMessage,
+} from "../../src/utils/message/index.js";
+import { createRepo, commitFile } from "../helpers/repo.js";
+
+const repo = createRepo();
+test.after(repo.remove);
+
+const context = {
+  sourceRepo: "git@example.com:acme/app.git",
+  sourceBranch: "main",
+  targetBranch: "release",
+};
+const subjectOnly = commitFile("a.txt", "a\n", "APP-12 Fix the retry limit");
+const withBody = commitFile(
+  "b.txt",
+  "b\n",
+  "Add backoff\n\nRetries wait longer each time, see APP-7."
+);
+
+test("rewriteIssueKeys replaces full keys and project prefixes", () => {
+  assert.equal(
+    rewriteIssueKeys("APP-12 and APP-7, not XAPP-1", {
+      "APP-12": "WEB-400",
+      APP: "WEB",
+    }),
+    "WEB-400 and WEB-7, not XAPP-1"
+  );
+  assert.equal(rewriteIssueKeys("APP-12", {}), "APP-12");
+});
+
+test("needsMessageRewrite is false without any message option", () => {
+  assert.equal(needsMessageRewrite({}), false);
+  assert.equal(
+    needsMessageRewrite({ trailers: { "Source-branch": "x" } }),
+    true
+  );
+  assert.equal(needsMessageRewrite({ leftOut: ["docs/a.md"] }), true);
+});
+
+test("renderCommitMessage keeps the source message by default", () => {
+  assert.equal(
+    renderCommitMessage(withBody),
+    "Add backoff\n\nRetries wait longer each time, see APP-7."
+  );
+});
+
+test("renderCommitMessage fills the template placeholders", () => {
+  const message = renderCommitMessage(withBody, {
+    messageTemplate:
+      "[{targetBranch}] {subject}\n\n{body}\n\nFrom {shortHash} by {author}",
+    messageContext: context,
+  });
+  assert.equal(
+    message,
+    `[release] Add backoff\n\nRetries wait longer each time, see APP-7.\n\nFrom ${withBody.slice(
+      0,
+      8
+    )} by Ada <ada@example.com>`
+  );
+});
+
+test("renderCommitMessage keeps a blank line between the message and its trailers", () => {
+  const trailers = { "Cherry-picked-from": "{sourceRepo}@{hash}" };
+  assert.equal(
+    renderCommitMessage(subjectOnly, { trailers, messageContext: context }),
+    `APP-12 Fix the retry limit\n\nCherry-picked-from: ${context.sourceRepo}@${subjectOnly}\n`
+  );
+  assert.equal(
+    renderCommitMessage(withBody, {
+      trailers: { ...trailers, "Source-branch": "{sourceBranch}" },
+      messageContext: context,
+    }),
+    [
+      "Add backoff",
+      "",
+      "Retries wait longer each time, see APP-7.",
+      "",
+      `Cherry-picked-from: ${context.sourceRepo}@${withBody}`,
+      "Source-branch: main",
+      "",
+    ].join("\n")
+  );
+});
+
+test("renderCommitMessage maps the issue keys of the source message", () => {
+  assert.equal(
+    renderCommitMessage(subjectOnly, { issueKeys: { APP: "WEB" } }),
+    "WEB-12 Fix the retry limit"
+  );
+});
+
+test("renderCommitMessage lists the changes a partial port left out", () => {
+  assert.equal(
+    renderCommitMessage(subjectOnly, {
+      messageContext: context,
+      leftOut: ["docs/retry.md", "src/retry.js (1 of 3 hunks)"],
+    }),
+    [
+      "APP-12 Fix the retry limit",
+      "",
+      "Partially ported, left out:",
+      "- docs/retry.md",
+      "- src/retry.js (1 of 3 hunks)",
+      "",
+      `Partially-ported-from: ${context.sourceRepo}@${subjectOnly}`,
+      "",
+    ].join("\n")
+  );
+});
@@ -0,0 +1,173 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  parsePatch,
+  serializePatch,
+  remapPath,
+  remapPatchPaths,
+  compileSubstitutions,
+  substitutePatch,
+} from "../../src/utils/patch/index.js";
+
+const PATCH = `diff --git a/src/modules/pay/retry.js b/src/modules/pay/retry.js
+index 1111111111111111111111111111111111111111..2222222222222222222222222222222222222222 100644
+--- a/src/modules/pay/retry.js
++++ b/src/modules/pay/retry.js
+@@ -1,2 +1,2 @@
+ const limit = 3;
+-retry(limit);
++retry(limit, { backoff: true });
+diff --git a/src/modules/pay/old.js b/src/modules/pay/new.js
+similarity index 100%
+rename from src/modules/pay/old.js
+rename to src/modules/pay/new.js
+diff --git a/docs/pay.md b/docs/pay.md
+new file mode 100644
+index 0000000000000000000000000000000000000000..3333333333333333333333333333333333333333
+--- /dev/null
++++ b/docs/pay.md
+@@ -0,0 +1 @@
++# Pay
+`;
+
+test("parsePatch splits a patch per file and reads the paths of each side", () => {
+  const files = parsePatch(PATCH);
+  assert.deepEqual(
+    files.map(({ oldPath, newPath }) => [oldPath, newPath]),
+    [
+      ["src/modules/pay/retry.js", "src/modules/pay/retry.js"],
+      ["src/modules/pay/old.js", "src/modules/pay/new.js"],
+      [null, "docs/pay.md"],
+    ]
+  );
+  assert.equal(serializePatch(files), PATCH);
+});
+
+test("remapPath uses the longest matching prefix", () => {
+  const pathMap = {
+    src: "lib",
+    "src/modules/pay/": "packages/pay/src",
+  };
+  assert.equal(
+    remapPath("src/modules/pay/retry.js", pathMap),
+    "packages/pay/src/retry.js"
+  );
+  assert.equal(remapPath("src/index.js", pathMap), "lib/index.js");
+  assert.equal(remapPath("src", pathMap), "lib");
+  assert.equal(remapPath("srcfile.js", pathMap), null);
+});
+
+test("remapPath maps into the root of the target", () => {
+  assert.equal(
+    remapPath("packages/app/index.js", { "packages/app": "" }),
+    "index.js"
+  );
+});
+
+test("remapPatchPaths rewrites every header path and reports the unmapped files", () => {
+  const { files, unmapped } = remapPatchPaths(parsePatch(PATCH), {
+    "src/modules/pay": "packages/pay/src",
+  });
+  assert.deepEqual(unmapped, ["docs/pay.md"]);
+  assert.deepEqual(
+    files.map(({ oldPath, newPath }) => [oldPath, newPath]),
+    [
+      ["packages/pay/src/retry.js", "packages/pay/src/retry.js"],
+      ["packages/pay/src/old.js", "packages/pay/src/new.js"],
+    ]
+  );
+  const patch = serializePatch(files);
+  assert.match(
+    patch,
+    /^diff --git a\/packages\/pay\/src\/retry\.js b\/packages\/pay\/src\/retry\.js$/m
+  );
+  assert.match(patch, /^--- a\/packages\/pay\/src\/retry\.js$/m);
+  assert.match(patch, /^\+\+\+ b\/packages\/pay\/src\/retry\.js$/m);
+  assert.match(patch, /^rename from packages\/pay\/src\/old\.js$/m);
+  assert.match(patch, /^rename to packages\/pay\/src\/new\.js$/m);
+  // Hunk lines are left alone
+  assert.match(patch, /^\+retry\(limit, \{ backoff: true \}\);$/m);
+  assert.doesNotMatch(patch, /src\/modules/);
+});
+
+test("remapPatchPaths keeps the /dev/null side of added files", () => {
+  const { files } = remapPatchPaths(parsePatch(PATCH), { docs: "doc" });
+  const [added] = files;
+  assert.equal(added.oldPath, null);
+  assert.equal(added.newPath, "doc/pay.md");
+  assert.match(serializePatch(files), /^--- \/dev\/null$/m);
+});
+
+const BRAND_PATCH = `diff --git a/src/client.js b/src/client.js
+index 1111111111111111111111111111111111111111..2222222222222222222222222222222222222222 100644
+--- a/src/client.js
++++ b/src/client.js
+@@ -1,3 +1,3 @@
+ import { Acme } from "@acme/core";
+-const host = "api.acme.com";
++const host = "api.acme.com/v2";
+ export default new Acme(host);
+diff --git a/README.md b/README.md
+index 3333333333333333333333333333333333333333..4444444444444444444444444444444444444444 100644
+--- a/README.md
++++ b/README.md
+@@ -1 +1 @@
+-Acme client
++Acme client for @acme/core
+`;
+
+/**
+ * Apply substitution rules to BRAND_PATCH
+ * @param {Array<Object>} rules
+ * @returns {{lines: string[], changes: Array<Object>}} - Lines of every file and the substituted lines
+ */
+function substitute(rules) {
+  const { files, changes } = substitutePatch(
+    parsePatch(BRAND_PATCH),
+    compileSubstitutions(rules)
+  );
+  return { lines: files.flatMap((file) => file.lines), changes };
+}
+
+test("substitutePatch rewrites added, removed and context lines but not the headers", () => {
+  const { lines, changes } = substitute([{ from: "Acme", to: "Globex" }]);
+  assert.ok(lines.includes(' import { Globex } from "@acme/core";'));
+  assert.ok(lines.includes(" export default new Globex(host);"));
+  assert.ok(lines.includes("-Globex client"));
+  assert.ok(lines.includes("+Globex client for @acme/core"));
+  assert.deepEqual(
+    changes.map(({ path, before }) => [path, before[0]]),
+    [
+      ["src/client.js", " "],
+      ["src/client.js", " "],
+      ["README.md", "-"],
+      ["README.md", "+"],
+    ]
+  );
+});
+
+test("literal rules match special characters and keep $ patterns of the replacement", () => {
+  const { lines } = substitute([
+    { from: "api.acme.com", to: "api.globex.io" },
+    { from: "@acme/", to: "$&-$1-$$/" },
+  ]);
+  assert.ok(lines.includes('+const host = "api.globex.io/v2";'));
+  assert.ok(lines.includes(' import { Acme } from "$&-$1-$$/core";'));
+});
+
+test("regex rules use their flags and group references", () => {
+  const { lines } = substitute([
+    { from: "api\\.(\\w+)\\.com", to: "$1.example.org", regex: true },
+    { from: "acme", to: "globex", regex: true, flags: "gi" },
+  ]);
+  assert.ok(lines.includes('+const host = "globex.example.org/v2";'));
+  assert.ok(lines.includes("+globex client for @globex/core"));
+});
+
+test("rules limited to paths only touch the matching files", () => {
+  const { changes } = substitute([
+    { from: "Acme", to: "Globex", paths: ["src/**/*.js"] },
+  ]);
+  assert.ok(changes.length > 0);
+  assert.ok(changes.every(({ path }) => path === "src/client.js"));
+});
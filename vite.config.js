@@ -9,12 +9,27 @@ export default defineConfig({
       fileName: "crcp", // 输出文件的命名规则
     },
     rollupOptions: {
-      external: ["chalk", "child_process", "process", "inquirer"],
+      external: [
+        "chalk",
+        "child_process",
+        "console",
+        "fs",
+        "os",
+        "path",
+        "process",
+        "util",
+        "inquirer",
+      ],
       output: {
         globals: {
           chalk: "chalk",
           child_process: "child_process",
+          console: "console",
+          fs: "fs",
+          os: "os",
+          path: "path",
           process: "process",
+          util: "util",
           inquirer: "inquirer",
         },
       },